@@ -45,6 +45,23 @@ module.exports = function (grunt) {
             files: {
                '<%= config.dist %>/<%= pkg.name %>.min.js': '<%= config.src %>/<%= pkg.name %>.js'
             }
+         },
+         element: {
+            options: {
+               browserifyOptions: {
+                  debug: true,
+                  standalone: 'StickyElement'
+               },
+               plugin: [
+                  ['minifyify', {
+                     map: 'sticky-element.min.js.map',
+                     output: '<%= config.dist %>/sticky-element.min.js.map'
+                  }]
+               ]
+            },
+            files: {
+               '<%= config.dist %>/sticky-element.min.js': '<%= config.src %>/sticky-element.js'
+            }
          }
       },
 
@@ -1,7 +1,14 @@
 import 'classlist-polyfill';
+import DataAttributes from './helpers/data-attributes';
+import DebugOverlay from './helpers/debug-overlay';
 import EventEmitter from './helpers/event-emitter';
+import ResizeWatcher from './helpers/resize-watcher';
+import Scheduler from './helpers/scheduler';
 import Store from './helpers/store';
 import Style from './helpers/style';
+import StyleSheets from './helpers/style-sheets';
+import Table from './helpers/table';
+import Viewport from './helpers/viewport';
 
 /**
  * @typedef SettingsHash
@@ -10,6 +17,70 @@ import Style from './helpers/style';
  * elements processed by this library
  * @property {string} [activeClass='sticky-active'] The class name added when an
  * element starts sticking
+ * @property {string} [constrainedClass='sticky--constrained'] The class name added when
+ * a sticking element reaches the end of its parent and is pushed by it
+ * @property {HTMLElement|Window|string|null} [scrollContainer=null] The container, or the
+ * selector identifying it, whose scroll makes the element stick. If not provided, the nearest
+ * ancestor whose content can be scrolled is used, falling back to the window.
+ * @property {HTMLElement|string|null} [boundary=null] The element, the selector identifying it,
+ * or <code>'document'</code>, whose end stops the element from sticking. If a selector is provided,
+ * the nearest ancestor matching it is used, falling back to the first element of the page
+ * matching it. If not provided, the parent of the element is used.
+ * @property {number|Function|null} [offsetTop=null] The distance, in pixels, from the top of
+ * the visible area at which the element sticks, or a function returning it. If not provided,
+ * the value of the <code>top</code> property is used.
+ * @property {number|Function|null} [offsetBottom=null] The distance, in pixels, from the bottom of
+ * the visible area at which the element sticks, or a function returning it. If not provided,
+ * the value of the <code>bottom</code> property is used.
+ * @property {boolean} [stack=false] Whether the element stacks with the other stacking elements
+ * of the same scrolling container, sticking below the ones sticking on the top before it and
+ * above the ones sticking on the bottom after it
+ * @property {boolean} [group=false] Whether the element is grouped with the other grouping elements
+ * of the same scrolling container sticking on the same side, so that an element pushes out
+ * the one of the group sticking before it, like the headers of a list of contacts
+ * @property {boolean} [tall=false] Whether an element sticking on the top and taller than the visible
+ * area of its scrolling container scrolls together with the content until its bottom side is visible,
+ * sticking on the bottom, and, when scrolling back, until its top side is visible, sticking on the top
+ * @property {boolean} [headroom=false] Whether an element sticking on the top or on the bottom
+ * is hidden when the content is scrolled down and shown again when the content is scrolled up
+ * @property {number} [tolerance=0] The distance, in pixels, the content has to be scrolled
+ * in the same direction before the element is hidden or shown again
+ * @property {string} [pinnedClass='sticky--pinned'] The class name added when a sticking element
+ * is shown because of the <code>headroom</code> option
+ * @property {string} [unpinnedClass='sticky--unpinned'] The class name added when a sticking element
+ * is hidden because of the <code>headroom</code> option
+ * @property {boolean} [scrollPadding=false] Whether the area covered by the element while sticking on
+ * the top or on the bottom is considered obscured. The obscured insets of the scrolling container are
+ * exposed as the <code>--sticky-inset-top</code> and <code>--sticky-inset-bottom</code> CSS custom
+ * properties, and the content is scrolled so that the targets of the in-page links and the focused
+ * elements aren't hidden behind the element.
+ * @property {boolean} [progress=false] Whether the <code>stickyprogress</code> event is fired when
+ * the progress of the scroll through the range in which the element sticks changes
+ * @property {Function|null} [onProgress=null] A function called, with the progress and the
+ * Sticky object as arguments, when the progress of the scroll through the range
+ * in which the element sticks changes
+ * @property {string|null} [progressProperty=null] The name of a CSS custom property,
+ * for example <code>--sticky-progress</code>, set on the element to the progress of the scroll
+ * through the range in which the element sticks
+ * @property {boolean} [hybrid=false] Whether the native <code>position: sticky</code> is used in the
+ * browsers supporting it, detecting with an <code>IntersectionObserver</code> when the element
+ * starts and ends sticking to fire the same events and to add the same class names. Only the options
+ * about the events and the class names apply to the elements sticking natively.
+ * @property {string} [strategy='auto'] How the element is moved while sticking: <code>'fixed'</code>
+ * to use <code>position: fixed</code>, <code>'transform'</code> to keep the element in its original
+ * position and translate it, or <code>'auto'</code> to use <code>'transform'</code> only if an ancestor
+ * of the element, for example a transformed one, would become the containing block of a fixed element
+ * @property {boolean|HTMLElement|Function} [placeholder=true] The element occupying the original
+ * position of the element while it sticks, a function called with the Sticky object returning it,
+ * <code>true</code> to create one of the same type as the element, or <code>false</code> to not
+ * use any placeholder, letting the following content take the space of the element
+ * @property {string|null} [media=null] A media query, for example <code>'(min-width: 768px)'</code>,
+ * that has to match for the element to stick. While it doesn't match, the element
+ * is restored in its original position and the library is paused.
+ * @property {boolean} [observe=false] Whether <code>Sticky.autoInit()</code> keeps watching the
+ * document to initialize the elements added later and to destroy the ones removed
+ * @property {boolean} [debug=false] Whether to draw an overlay showing the lines at which the element
+ * starts and ends sticking, its boundary, its placeholder and its state, and to log the changes of state
  */
 
 /**
@@ -19,16 +90,29 @@ import Style from './helpers/style';
  */
 const defaults = {
    selector: '.sticky',
-   activeClass: 'sticky--active'
-};
-
-/**
- * The settings to use when adding the event handler for the scroll event
- *
- * @type {Object}
- */
-const scrollOptions = {
-   passive: true
+   activeClass: 'sticky--active',
+   constrainedClass: 'sticky--constrained',
+   scrollContainer: null,
+   boundary: null,
+   offsetTop: null,
+   offsetBottom: null,
+   stack: false,
+   group: false,
+   tall: false,
+   headroom: false,
+   tolerance: 0,
+   pinnedClass: 'sticky--pinned',
+   unpinnedClass: 'sticky--unpinned',
+   scrollPadding: false,
+   progress: false,
+   onProgress: null,
+   progressProperty: null,
+   hybrid: false,
+   strategy: 'auto',
+   placeholder: true,
+   media: null,
+   observe: false,
+   debug: false
 };
 
 /**
@@ -40,12 +124,173 @@ const scrollOptions = {
 const properties = [
    'width',
    'height',
-   'left',
    'marginLeft',
    'marginRight',
    'zIndex'
 ];
 
+/**
+ * The properties of the element written by the library while it sticks, whose inline
+ * values are saved when the element is initialized and restored when it stops sticking
+ *
+ * @type {string[]}
+ */
+const stickingProperties = properties.concat([
+   'marginTop',
+   'marginBottom',
+   'top',
+   'bottom',
+   'left',
+   'right',
+   'clip',
+   'clipPath',
+   'webkitClipPath',
+   'transform',
+   'webkitTransform'
+]);
+
+/**
+ * The properties the placeholder element copies from the element to occupy
+ * the same space in its formatting context, such as a flex or a grid container
+ *
+ * @type {string[]}
+ */
+const layoutProperties = [
+   'top',
+   'bottom',
+   'marginTop',
+   'marginBottom',
+   'marginLeft',
+   'marginRight',
+   'display',
+   'float',
+   'clear',
+   'verticalAlign',
+   'flexGrow',
+   'flexShrink',
+   'flexBasis',
+   'alignSelf',
+   'justifySelf',
+   'order',
+   'gridColumnStart',
+   'gridColumnEnd',
+   'gridRowStart',
+   'gridRowEnd',
+   'msGridColumn',
+   'msGridColumnSpan',
+   'msGridRow',
+   'msGridRowSpan'
+];
+
+/**
+ * The ratios of the visible part of an element, observed by an <code>IntersectionObserver</code>,
+ * at which the state of an element sticking natively is checked
+ *
+ * @type {number[]}
+ */
+const intersectionThresholds = Array.apply(null, new Array(101)).map((value, index) => index / 100);
+
+/**
+ * The regular expression used to test if the value of the <code>will-change</code>
+ * property makes an element the containing block of its fixed descendants
+ *
+ * @type {RegExp}
+ */
+const containingWillChange = /(transform|perspective|filter)/;
+
+/**
+ * The regular expression used to test if the value of the <code>contain</code>
+ * property makes an element the containing block of its fixed descendants
+ *
+ * @type {RegExp}
+ */
+const containingContain = /(paint|layout|strict|content)/;
+
+/**
+ * The description of the sides an element can stick to. For each side are specified
+ * the direction of the scroll that makes the element stick, the dimension along that
+ * direction, the opposite side, the margin to consider at the end of the parent,
+ * the dimension of the visible area of the window, without the scrollbars, along that direction,
+ * and the orientation of the side (<code>1</code> for the sides at the start of the axis,
+ * <code>-1</code> otherwise).
+ *
+ * @type {Object}
+ */
+const sides = {
+   top: {
+      scroll: 'top',
+      size: 'height',
+      opposite: 'bottom',
+      margin: 'marginBottom',
+      viewportSize: 'clientHeight',
+      sign: 1
+   },
+   bottom: {
+      scroll: 'top',
+      size: 'height',
+      opposite: 'top',
+      margin: 'marginTop',
+      viewportSize: 'clientHeight',
+      sign: -1
+   },
+   left: {
+      scroll: 'left',
+      size: 'width',
+      opposite: 'right',
+      margin: 'marginRight',
+      viewportSize: 'clientWidth',
+      sign: 1
+   },
+   right: {
+      scroll: 'left',
+      size: 'width',
+      opposite: 'left',
+      margin: 'marginLeft',
+      viewportSize: 'clientWidth',
+      sign: -1
+   }
+};
+
+/**
+ * The settings that can be specified in the data attributes of an element
+ * initialized by <code>Sticky.autoInit()</code>, with the types of their values
+ *
+ * @type {Object}
+ */
+const attributeTypes = {
+   activeClass: 'string',
+   constrainedClass: 'string',
+   scrollContainer: 'selector',
+   boundary: 'selector',
+   offsetTop: 'number',
+   offsetBottom: 'number',
+   stack: 'boolean',
+   group: 'boolean',
+   tall: 'boolean',
+   headroom: 'boolean',
+   tolerance: 'number',
+   pinnedClass: 'string',
+   unpinnedClass: 'string',
+   scrollPadding: 'boolean',
+   progress: 'boolean',
+   progressProperty: 'string',
+   hybrid: 'boolean',
+   strategy: 'string',
+   placeholder: 'boolean',
+   media: 'media',
+   debug: 'boolean'
+};
+
+/**
+ * The names of the settings that provide the offsets of the sides
+ *
+ * @type {Object}
+ */
+const offsetSettings = {
+   top: 'offsetTop',
+   bottom: 'offsetBottom'
+};
+
 /**
  * The namespace used to store data related to the library
  * on the elements of a page
@@ -62,28 +307,38 @@ const namespace = 'auderosticky';
 const store = new Store(namespace);
 
 /**
- * Tests if passive event listeners are supported
+ * The scheduler used to update all the sticky elements
+ * at most once per animation frame
  *
- * @return {boolean}
+ * @type {Scheduler}
  */
-function isPassiveEventListenerSupported() {
-   let isSupported = false;
+const scheduler = new Scheduler();
 
-   try {
-      const options = Object.defineProperty({}, 'passive', {
-         get() {
-            isSupported = true;
-         }
-      });
+/**
+ * The initialized Sticky objects, sorted by the position
+ * of their elements in the document
+ *
+ * @type {Sticky[]}
+ */
+const instances = [];
 
-      window.addEventListener('', null, options);
-   } catch(ex) {}
+/**
+ * The obscured insets last exposed for each scrolling container
+ *
+ * @type {Object[]}
+ */
+const exposedInsets = [];
 
-   return isSupported;
-}
+/**
+ * Whether the debug mode has been enabled for all the elements
+ * with <code>Sticky.debug()</code>
+ *
+ * @type {boolean}
+ */
+let isDebugEnabled = false;
 
 /**
- * Calculates the top and bottom margins of the element that has to stick
+ * Calculates the margins of the element that has to stick
  * at the moment it'll stick
  *
  * @param {Sticky} sticky An instance of a Sticky object
@@ -91,7 +346,7 @@ function isPassiveEventListenerSupported() {
  * @returns {Object}
  */
 function getStickyMargins(sticky) {
-   // Knowing the top and bottom margins at the time the element
+   // Knowing the margins at the time the element
    // will stick is important because the specifications require
    // to consider these values when calculating the boundaries
    // in which the element sticks.
@@ -101,6 +356,8 @@ function getStickyMargins(sticky) {
    elementStyle = window.getComputedStyle(sticky.element);
    stickyMargins = {
       marginBottom: elementStyle.marginBottom,
+      marginLeft: elementStyle.marginLeft,
+      marginRight: elementStyle.marginRight,
       marginTop: elementStyle.marginTop
    };
    sticky.element.classList.remove(sticky.settings.activeClass);
@@ -130,6 +387,24 @@ function getComputedZIndex(element) {
    return !isNaN(zIndex) ? zIndex : undefined;
 }
 
+/**
+ * Tests if a node is managed by the library, that is if it's
+ * a sticky element, or part of a placeholder or of a debug overlay
+ *
+ * @param {Node} node The node to test
+ *
+ * @return {boolean}
+ */
+function isManagedNode(node) {
+   return instances.some(instance => {
+      const data = store.getData(instance.element);
+
+      return instance.element === node ||
+         !!data.placeholder && data.placeholder.contains(node) ||
+         !!data.debugOverlay && data.debugOverlay.contains(node);
+   });
+}
+
 /**
  * Returns the z-index value of the element if one is defined.
  * Otherwise, it calculates the z-index value of an element based
@@ -148,7 +423,11 @@ function getZIndex(element, selector) {
       return zIndex;
    }
 
-   const stickyElements = [].slice.call(document.querySelectorAll(selector));
+   // The placeholders copying the element, such as the ones of the tables, are ignored
+   const stickyElements = [].filter.call(
+      document.querySelectorAll(selector),
+      stickyElement => stickyElement === element || !isManagedNode(stickyElement)
+   );
 
    return stickyElements.indexOf(element) + 1;
 }
@@ -170,6 +449,18 @@ function convertNumbersToPixels(propertiesHash) {
    return object;
 }
 
+/**
+ * Stops observing the intersection of an element sticking natively
+ *
+ * @param {Object} data The data stored for the element
+ */
+function disconnectIntersection(data) {
+   if (data.intersectionObserver) {
+      data.intersectionObserver.disconnect();
+      data.intersectionObserver = null;
+   }
+}
+
 /**
  * Cleans up allocated resources and effects
  *
@@ -178,16 +469,17 @@ function convertNumbersToPixels(propertiesHash) {
 function cleanUp(sticky) {
    const data = store.getData(sticky.element);
 
-   Style.resetStyleProperties(
-      sticky.element.style,
-      properties.concat([
-         'marginTop',
-         'marginBottom',
-         'top',
-         'bottom'
-      ])
-   );
+   if (data.isStuck && Table.isRow(sticky.element)) {
+      Table.resetCellWidths(sticky.element);
+   }
+
+   // The original inline values are restored, because the offsets
+   // are read again from the style of the element on the next update
+   Style.copyStyleProperties(sticky.element.style, data.inlineStyle, stickingProperties);
    sticky.element.style.position = data.position;
+   data.isStuck = false;
+   data.translation = null;
+   disconnectIntersection(data);
 
    if (data.placeholder && data.placeholder.parentNode) {
       data.placeholder.parentNode.removeChild(data.placeholder);
@@ -195,310 +487,2637 @@ function cleanUp(sticky) {
 }
 
 /**
- * Calculates the boundaries of the sticky element, that is at what
- * positions it has to start and end to stick.
+ * Returns the container whose scroll makes the element stick
  *
- * @param {HTMLElement} element The element based on which the boundaries are calculated
- * @param {Object} stickyMargins An object containing additional margins to consider
- * in the calculation
+ * @param {Sticky} sticky An instance of a Sticky object
  *
- * @return {Object}
+ * @return {HTMLElement|Window}
  */
-function calculateBoundaries(element, stickyMargins) {
-   const boundaries = {
-      start: 0,
-      end: 0
-   };
-   const elementStyle = window.getComputedStyle(element);
-   const parentStyle = element.parentNode.getBoundingClientRect();
+function getScrollContainer(sticky) {
+   const scrollContainer = sticky.settings.scrollContainer;
 
-   // If the value of the "top" property is defined, in which case it has
-   // a value different from "auto", the element will stick on the top.
-   if (elementStyle.top !== 'auto') {
-      boundaries.start = element.getBoundingClientRect().top - parseFloat(elementStyle.top);
-      boundaries.end = parentStyle.bottom - (parseFloat(stickyMargins.marginBottom) || 0);
-   } else {
-      boundaries.start = element.getBoundingClientRect().bottom + parseFloat(elementStyle.bottom);
-      boundaries.end = parentStyle.top + (parseFloat(stickyMargins.marginTop) || 0);
+   if (typeof scrollContainer === 'string') {
+      return document.querySelector(scrollContainer) || window;
    }
 
-   // Normalize the start and the limit position of the element.
-   // This is needed when on the load of a page the position
-   // isn't set at the top of the page.
-   boundaries.start += window.pageYOffset;
-   boundaries.end += window.pageYOffset;
-
-   return boundaries;
+   return scrollContainer || Viewport.getScrollParent(sticky.element);
 }
 
 /**
- * Updates the style of the placeholder element based on the current
- * values of the sticky element
+ * Tests if an element is the containing block of its descendants
+ * having <code>position: fixed</code>, instead of the viewport
  *
- * @param {Sticky} sticky An instance of a Sticky object
+ * @param {HTMLElement} element The element to test
+ *
+ * @return {boolean}
  */
-function updatePlaceholderStyle(sticky) {
-   const startPosition = sticky.element.getBoundingClientRect();
-   const placeholder = store.getData(sticky.element, 'placeholder');
+function isContainingBlock(element) {
+   const style = window.getComputedStyle(element);
+   const isSet = property => !!style[property] && style[property] !== 'none';
 
-   Style.copyStyleProperties(
-      placeholder.style,
-      window.getComputedStyle(sticky.element),
-      [
-         'top',
-         'bottom',
-         'marginTop',
-         'marginBottom',
-         'marginLeft',
-         'marginRight'
-      ]
-   );
-   Style.copyStyleProperties(
-      placeholder.style,
-      convertNumbersToPixels(startPosition),
-      [
-         'width',
-         'height',
-         'left'
-      ]
-   );
+   return ['transform', 'filter', 'perspective'].some(isSet) ||
+      containingWillChange.test(style.willChange) ||
+      containingContain.test(style.contain);
 }
 
 /**
- * Returns the function to use as the event handler for
- * the <code>scroll</code> event
+ * Returns how the element is moved while sticking, based on the settings
+ * and, if needed, on its ancestors
  *
  * @param {Sticky} sticky An instance of a Sticky object
  *
- * @return {Function}
+ * @return {string}
  */
-function onScroll(sticky) {
-   const stickyMargins = getStickyMargins(sticky);
-   const elementStyle = window.getComputedStyle(sticky.element);
-   const distanceFromSide = elementStyle.top !== 'auto' ?
-      parseFloat(elementStyle.top) :
-      parseFloat(elementStyle.bottom);
-
-   function startSticky() {
-      const data = store.getData(sticky.element);
-
-      updatePlaceholderStyle(sticky);
-      data.position = sticky.element.style.position;
-      store.setData(sticky.element, data);
-      Style.copyStyleProperties(
-         sticky.element.style,
-         {
-            position: 'fixed'
-         }
-      );
-      Style.copyStyleProperties(sticky.element.style, data.placeholder.style, properties);
-      sticky.element.parentNode.insertBefore(data.placeholder, sticky.element);
-      EventEmitter.fireEvent('stickystart', sticky.element);
-      sticky.element.classList.add(sticky.settings.activeClass);
+function getStrategy(sticky) {
+   if (sticky.settings.strategy !== 'auto') {
+      return sticky.settings.strategy;
    }
 
-   function endSticky() {
-      cleanUp(sticky);
-      EventEmitter.fireEvent('stickyend', sticky.element);
-      sticky.element.classList.remove(sticky.settings.activeClass);
+   // The cells of a table can't be detached from the columns
+   if (Table.isCell(sticky.element)) {
+      return 'transform';
    }
 
-   function getBoundaries(isSticking) {
-      const placeholder = store.getData(sticky.element).placeholder;
+   let ancestor = sticky.element.parentNode;
+
+   while(ancestor && ancestor.nodeType === 1) {
+      if (isContainingBlock(ancestor)) {
+         return 'transform';
+      }
 
-      // The boundaries are calculated based on the element
-      // itself if it's not sticking;
-      // otherwise the placeholder is used.
-      return isSticking ?
-         calculateBoundaries(placeholder, stickyMargins) :
-         calculateBoundaries(sticky.element, stickyMargins);
+      ancestor = ancestor.parentNode;
    }
 
-   function stickToTop() {
-      const isAdded = !!store
-         .getData(sticky.element)
-         .placeholder
-         .parentNode;
-      const boundaries = getBoundaries(isAdded);
-      const height = parseFloat(window.getComputedStyle(sticky.element).height) || 0;
-      const gap = boundaries.end - height - window.pageYOffset;
-      const isInRange = window.pageYOffset >= boundaries.start && window.pageYOffset <= boundaries.end;
+   return 'fixed';
+}
 
-      if (isInRange) {
-         if (!isAdded) {
-            startSticky();
-         }
+/**
+ * Tests if an element matches a CSS selector
+ *
+ * @param {HTMLElement} element The element to test
+ * @param {string} selector The CSS selector to use
+ *
+ * @return {boolean}
+ */
+function matchesSelector(element, selector) {
+   const matches = element.matches || element.msMatchesSelector || element.webkitMatchesSelector;
 
-         sticky.element.style.top = gap - distanceFromSide >= 0 ? '' : `${gap}px`;
-      } else if (isAdded) {
-         endSticky();
-      }
-   }
+   return matches.call(element, selector);
+}
 
-   function stickToBottom() {
-      const isAdded = !!store
-         .getData(sticky.element)
-         .placeholder
-         .parentNode;
-      const boundaries = getBoundaries(isAdded);
-      const height = parseFloat(window.getComputedStyle(sticky.element).height) || 0;
-      const windowBottom = window.pageYOffset + window.innerHeight;
-      const gap = boundaries.end + height - windowBottom;
-      const isInRange = windowBottom <= boundaries.start && windowBottom >= boundaries.end;
-
-      if (isInRange) {
-         if (!isAdded) {
-            startSticky();
-         }
+/**
+ * Returns the nearest ancestor of an element matching a CSS selector, if any.
+ * Otherwise, it returns <code>null</code>.
+ *
+ * @param {HTMLElement} element The element whose ancestor is returned
+ * @param {string} selector The CSS selector to use
+ *
+ * @return {HTMLElement|null}
+ */
+function findClosestAncestor(element, selector) {
+   let ancestor = element.parentNode;
 
-         sticky.element.style.bottom = gap + distanceFromSide <= 0 ? '' : `${-gap}px`;
-      } else if (isAdded) {
-         endSticky();
+   while(ancestor && ancestor.nodeType === 1) {
+      if (matchesSelector(ancestor, selector)) {
+         return ancestor;
       }
+
+      ancestor = ancestor.parentNode;
    }
 
-   return elementStyle.top !== 'auto' ? stickToTop : stickToBottom;
+   return null;
 }
 
 /**
- * Returns the function to use as the event handler for
- * the <code>resize</code> event
+ * Returns the element whose end stops the element from sticking
  *
  * @param {Sticky} sticky An instance of a Sticky object
  *
- * @return {Function}
+ * @return {HTMLElement}
  */
-function onResize(sticky) {
-   return () => {
-      sticky.destroy();
-      sticky.init();
-      store.getData(sticky.element, 'handlers').scroll();
-   };
+function getBoundary(sticky) {
+   const boundary = sticky.settings.boundary;
+
+   if (boundary === 'document') {
+      return document.documentElement;
+   }
+
+   if (typeof boundary !== 'string') {
+      return boundary || sticky.element.parentNode;
+   }
+
+   return findClosestAncestor(sticky.element, boundary) ||
+      document.querySelector(boundary) ||
+      sticky.element.parentNode;
 }
 
 /**
- * Binds the events for the sticky object provided
+ * Tests if an offset is provided in the settings for a given side
  *
  * @param {Sticky} sticky An instance of a Sticky object
+ * @param {string} side The side to test
+ *
+ * @return {boolean}
  */
-function bindEvents(sticky) {
-   const handlers = store.getData(sticky.element, 'handlers');
+function hasOffsetSetting(sticky, side) {
+   const offset = offsetSettings[side] ? sticky.settings[offsetSettings[side]] : null;
 
-   window.addEventListener('load', handlers.scroll);
-   window.addEventListener('scroll', handlers.scroll, isPassiveEventListenerSupported() ? scrollOptions : false);
-   window.addEventListener('resize', handlers.resize);
+   return typeof offset === 'number' || typeof offset === 'function';
 }
 
 /**
- * Unbinds the events for the sticky object provided
+ * Returns the offset provided in the settings for a given side, if any
  *
  * @param {Sticky} sticky An instance of a Sticky object
+ * @param {string} side The side whose offset is returned
+ *
+ * @return {number|null}
  */
-function unbindEvents(sticky) {
-   const handlers = store.getData(sticky.element, 'handlers');
+function getOffsetSetting(sticky, side) {
+   if (!hasOffsetSetting(sticky, side)) {
+      return null;
+   }
 
-   window.removeEventListener('load', handlers.scroll);
-   window.removeEventListener('scroll', handlers.scroll, isPassiveEventListenerSupported() ? scrollOptions : false);
-   window.removeEventListener('resize', handlers.resize);
+   const offset = sticky.settings[offsetSettings[side]];
+
+   return typeof offset === 'function' ? offset(sticky) : offset;
 }
 
-export
- default class Sticky {
-   /**
-    * Creates a new Sticky object
-    *
-    * @param {HTMLElement} element The element to render as sticky
-    * @param {SettingsHash} [options={}] An object of options to customize the library
-    *
-    * @constructor
-    */
-   constructor(element, options = {}) {
-      this.element = element;
-      this.settings = Object.assign({}, defaults, options);
-   }
+/**
+ * Returns the sides the element sticks to, at most one for each direction.
+ * A side is considered only if its value is different from "auto",
+ * or if an offset is provided in the settings for it.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {CSSStyleDeclaration} elementStyle The computed style of the element
+ *
+ * @return {string[]}
+ */
+function getStickySides(sticky, elementStyle) {
+   const isDefined = side => elementStyle[side] !== 'auto' || hasOffsetSetting(sticky, side);
 
-   /**
-    * Tests if the <code>sticky</code> value for the <code>position</code>
-    * property is supported
-    *
-    * @return {boolean}
-    */
-   static isFeatureSupported() {
-      const prefixes = [
-         'ms',
-         'webkit'
-      ];
-      let testStyle = 'position:sticky;';
-      const element = document.createElement('div');
-
-      prefixes.forEach(prefix => {
-         testStyle += `position:-${prefix}-sticky;`;
-      });
-      element.style.cssText = testStyle;
+   return [
+      ['top', 'bottom'].filter(isDefined)[0],
+      ['left', 'right'].filter(isDefined)[0]
+   ].filter(side => side);
+}
 
-      return !!element.style.position;
-   }
+/**
+ * Returns the dimensions of the element
+ *
+ * @param {HTMLElement} element The element whose dimensions are returned
+ *
+ * @return {Object}
+ */
+function getSize(element) {
+   const elementStyle = window.getComputedStyle(element);
 
-   /**
-    * Autoinitializes all the elements of the page matched by the selector provided
-    * in the options or the default one if no selector is provided
-    *
-    * @param {SettingsHash} [options] An object of options to customize the library
-    */
-   static autoInit(options = {}) {
-      options = Object.assign({}, defaults, options);
+   return {
+      width: parseFloat(elementStyle.width) || 0,
+      height: parseFloat(elementStyle.height) || 0
+   };
+}
 
-      [].forEach.call(
-         document.querySelectorAll(options.selector),
-         element => {
-            const sticky = new Sticky(element, options);
+/**
+ * Calculates the boundaries of the sticky element on a given side, that is
+ * at what positions it has to start and end to stick.
+ * The positions are expressed in the coordinates of the content
+ * of the scrolling container.
+ *
+ * @param {string} side The side the element sticks to
+ * @param {Object} metrics The offsets and the margins of the element when sticking
+ * @param {Object} frame The current state of the element and of its scrolling container
+ *
+ * @return {Object}
+ */
+function calculateBoundaries(side, metrics, frame) {
+   const descriptor = sides[side];
+   const parentRect = metrics.boundary.getBoundingClientRect();
+   const margin = parseFloat(metrics.stickyMargins[descriptor.margin]) || 0;
 
-            sticky.init();
-         }
-      );
+   // Normalize the start and the limit position of the element.
+   // This is needed when on the load of a page the position
+   // isn't set at the top of the container.
+   const shift = frame.scrollPosition[descriptor.scroll] - frame.viewport[descriptor.scroll];
+   let end = parentRect[descriptor.opposite];
+
+   // The next element of the same group pushes the element out
+   // before the end of the parent is reached
+   if (metrics.limits && typeof metrics.limits[side] === 'number') {
+      end = descriptor.sign > 0 ? Math.min(end, metrics.limits[side]) : Math.max(end, metrics.limits[side]);
    }
 
-   /**
-    * Initializes the library
-    */
-   init() {
-      if (store.getData(this.element)) {
-         throw new Error('This element has already been initialized');
-      }
+   return {
+      start: frame.reference.getBoundingClientRect()[side] - descriptor.sign * metrics.offsets[side] + shift,
+      end: end - descriptor.sign * margin + shift
+   };
+}
+
+/**
+ * Returns the position of the side of the visible area of the scrolling container,
+ * expressed in the coordinates of the content of the container
+ *
+ * @param {string} side The side whose position is returned
+ * @param {Object} frame The current state of the scrolling container
+ *
+ * @return {number}
+ */
+function getViewportEdge(side, frame) {
+   const descriptor = sides[side];
 
-      const placeholder = document.createElement(this.element.nodeName);
+   return frame.scrollPosition[descriptor.scroll] + (descriptor.sign > 0 ? 0 : frame.viewport[descriptor.size]);
+}
 
-      store.setData(this.element, {
-         placeholder: placeholder,
-         handlers: {
-            scroll: onScroll(this),
-            resize: onResize(this)
-         },
-         position: this.element.style.position
-      });
+/**
+ * Tests if the visible area of the scrolling container is close to the boundaries
+ * previously calculated, that is if it's at most one viewport away from them
+ *
+ * @param {Object[]} positions The positions previously calculated
+ * @param {Object} frame The current state of the scrolling container
+ *
+ * @return {boolean}
+ */
+function isNearViewport(positions, frame) {
+   return positions.some(position => {
+      const descriptor = sides[position.side];
+      const edge = getViewportEdge(position.side, frame);
+      const proximity = frame.viewport[descriptor.size];
+
+      return !!position.boundaries &&
+         descriptor.sign * (edge - position.boundaries.start) >= -proximity &&
+         descriptor.sign * (position.boundaries.end - edge) >= -proximity;
+   });
+}
 
-      Style.copyStyleProperties(
-         placeholder.style,
-         {
-            visibility: 'hidden',
-            zIndex: getZIndex(this.element, this.settings.selector)
-         }
-      );
+/**
+ * Calculates the distance of a side of the element from the same side
+ * of the visible area of the scrolling container when the element
+ * is in its original position
+ *
+ * @param {HTMLElement} reference The element occupying the original position
+ * @param {string} side The side whose distance is calculated
+ * @param {Object} viewport The visible area of the scrolling container
+ *
+ * @return {number}
+ */
+function calculateNaturalDistance(reference, side, viewport) {
+   return sides[side].sign * (reference.getBoundingClientRect()[side] - viewport[side]);
+}
 
-      updatePlaceholderStyle(this);
-      bindEvents(this);
+/**
+ * Calculates the progress of the scroll through the range in which
+ * the element sticks on a given side, as a number between 0 and 1
+ *
+ * @param {string} side The side the element sticks to
+ * @param {Object} boundaries The boundaries of the element on the side
+ * @param {number} edge The position of the side of the visible area of the scrolling container
+ *
+ * @return {number}
+ */
+function calculateProgress(side, boundaries, edge) {
+   const sign = sides[side].sign;
+   const length = sign * (boundaries.end - boundaries.start);
+   const distance = sign * (edge - boundaries.start);
 
-      // Execute the scroll handler to position the element if it
-      // should stick when the page is loaded
-      store.getData(this.element, 'handlers').scroll();
+   if (length <= 0) {
+      return distance >= 0 ? 1 : 0;
    }
 
-   /**
-    * Removes the effects of the library and clean up all the resources
-    */
-   destroy() {
-      cleanUp(this);
-      unbindEvents(this);
-      store.removeData(this.element);
+   return Math.min(1, Math.max(0, distance / length));
+}
+
+/**
+ * Calculates if the element has to stick on a given side and
+ * the distance of the side from the same side of the visible area
+ * of the scrolling container
+ *
+ * @param {string} side The side the element sticks to
+ * @param {Object} metrics The offsets and the margins of the element when sticking
+ * @param {Object} frame The current state of the element and of its scrolling container
+ *
+ * @return {Object}
+ */
+function calculatePosition(side, metrics, frame) {
+   const descriptor = sides[side];
+   const boundaries = calculateBoundaries(side, metrics, frame);
+   const edge = getViewportEdge(side, frame);
+   const gap = descriptor.sign * (boundaries.end - edge) - frame.size[descriptor.size];
+   const isInRange = descriptor.sign * (edge - boundaries.start) >= 0 && descriptor.sign * (boundaries.end - edge) >= 0;
+
+   return {
+      side: side,
+      boundaries: boundaries,
+      isInRange: isInRange,
+      isConstrained: isInRange && gap < metrics.offsets[side],
+      gap: gap,
+      offset: metrics.offsets[side],
+      progress: calculateProgress(side, boundaries, edge),
+      distance: isInRange ?
+         Math.min(gap, metrics.offsets[side]) :
+         calculateNaturalDistance(frame.reference, side, frame.viewport)
+   };
+}
+
+/**
+ * Sets the position of a sticking element on a given side
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} position The side and the distance of the element from the same side of the viewport
+ * @param {Object} viewport The visible area of the scrolling container
+ */
+function applyPosition(sticky, position, viewport) {
+   const descriptor = sides[position.side];
+   const value = descriptor.sign > 0 ?
+      viewport[position.side] + position.distance :
+      document.documentElement[descriptor.viewportSize] - viewport[position.side] + position.distance;
+
+   sticky.element.style[descriptor.opposite] = '';
+   sticky.element.style[position.side] = `${value}px`;
+}
+
+/**
+ * Aligns a sticking element that doesn't stick on the left or the right with its original
+ * position, so that it follows the horizontal scroll of the content. The element is aligned
+ * on the side where its lines start: the left or, in right-to-left layouts, the right.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} frame The current state of the element and of its scrolling container
+ */
+function applyInlinePosition(sticky, frame) {
+   const style = sticky.element.style;
+   const side = frame.inlineStart;
+   const value = side === 'left' ?
+      frame.referenceRect.left - (parseFloat(style.marginLeft) || 0) :
+      document.documentElement.clientWidth - frame.referenceRect.right - (parseFloat(style.marginRight) || 0);
+
+   style[sides[side].opposite] = '';
+   style[side] = `${value}px`;
+}
+
+/**
+ * Clips the parts of a sticking element that overflow the visible area
+ * of its scrolling container. The window doesn't need any clipping.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object[]} positions The sides and the distances of the element from the same sides of the viewport
+ * @param {Object} frame The current state of the element and of its scrolling container
+ */
+function clipToViewport(sticky, positions, frame) {
+   if (store.getData(sticky.element, 'container') === window) {
+      return;
+   }
+
+   const viewport = frame.viewport;
+   const rect = {
+      left: frame.referenceRect.left
+   };
+
+   positions.forEach(position => {
+      const descriptor = sides[position.side];
+
+      rect[descriptor.scroll] = descriptor.sign > 0 ?
+         viewport[position.side] + position.distance :
+         viewport[position.side] - position.distance - frame.size[descriptor.size];
+   });
+
+   const insets = [
+      viewport.top - rect.top,
+      rect.left + frame.size.width - viewport.right,
+      rect.top + frame.size.height - viewport.bottom,
+      viewport.left - rect.left
+   ].map(inset => Math.max(0, inset));
+   const clipPath = insets.some(inset => inset) ? `inset(${insets.join('px ')}px)` : '';
+
+   sticky.element.style.clipPath = clipPath;
+   sticky.element.style.webkitClipPath = clipPath;
+}
+
+/**
+ * Calculates the position on the top side of an element taller than the visible area
+ * of its scrolling container. Such element follows the scroll of the content, as if
+ * it wasn't sticking, until one of its ends is visible. Then, it sticks
+ * on the bottom, if scrolling down, or on the top, if scrolling up.
+ *
+ * @param {Object} position The position calculated as if the element wasn't taller
+ * than the visible area of its scrolling container
+ * @param {Object} metrics The offsets and the margins of the element when sticking
+ * @param {Object} frame The current state of the element and of its scrolling container
+ *
+ * @return {Object}
+ */
+function calculateTallPosition(position, metrics, frame) {
+   const minimumDistance = frame.viewport.height - frame.size.height;
+
+   if (minimumDistance >= metrics.offsets.top) {
+      return position;
+   }
+
+   const naturalDistance = calculateNaturalDistance(frame.reference, 'top', frame.viewport);
+   const previousPosition = (frame.previous.positions || []).filter(previous => previous.side === 'top')[0];
+   const followingDistance = previousPosition ?
+      previousPosition.distance - (frame.scrollPosition.top - frame.previous.scrollPosition.top) :
+      naturalDistance;
+   const freeDistance = Math.max(
+      naturalDistance,
+      Math.max(minimumDistance, Math.min(metrics.offsets.top, followingDistance))
+   );
+   const distance = Math.min(freeDistance, position.gap);
+
+   // A difference lower than a pixel isn't noticeable, while not sticking prevents
+   // rounding errors from being accumulated
+   return Object.assign({}, position, {
+      isInRange: position.boundaries.end >= frame.scrollPosition.top && Math.abs(distance - naturalDistance) >= 1,
+      isConstrained: position.gap < freeDistance,
+      distance: distance
+   });
+}
+
+/**
+ * Calculates the positions of the element on all the sides it sticks to.
+ * If the element doesn't stick on the vertical direction, its top side
+ * follows the original position.
+ *
+ * @param {Object} metrics The sides, the offsets and the margins of the element when sticking
+ * @param {Object} frame The current state of the element and of its scrolling container
+ *
+ * @return {Object[]}
+ */
+function calculatePositions(metrics, frame) {
+   const positions = metrics.sides.map(side => {
+      const position = calculatePosition(side, metrics, frame);
+
+      return metrics.isTall && side === 'top' ? calculateTallPosition(position, metrics, frame) : position;
+   });
+   const isVerticallySticky = positions.some(position => sides[position.side].scroll === 'top');
+
+   if (!isVerticallySticky) {
+      positions.push({
+         side: 'top',
+         isInRange: false,
+         distance: calculateNaturalDistance(frame.reference, 'top', frame.viewport)
+      });
+   }
+
+   return positions;
+}
+
+/**
+ * Returns the value of the <code>transform</code> property translating
+ * an element, or an empty string if the element isn't translated
+ *
+ * @param {Object} translation The horizontal and the vertical distance
+ *
+ * @return {string}
+ */
+function getTransform(translation) {
+   return translation.left || translation.top ? `translate3d(${translation.left}px, ${translation.top}px, 0)` : '';
+}
+
+/**
+ * Sets the <code>transform</code> property of an element
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {string} transform The value of the property
+ */
+function applyTransform(sticky, transform) {
+   Style.copyStyleProperties(sticky.element.style, {
+      transform: transform,
+      webkitTransform: transform
+   });
+}
+
+/**
+ * Translates a sticking element from its original position to the positions provided
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object[]} positions The sides and the distances of the element from the same sides of the viewport
+ * @param {Object} frame The current state of the element and of its scrolling container
+ */
+function translateToPositions(sticky, positions, frame) {
+   const translation = {
+      top: 0,
+      left: 0
+   };
+
+   positions.forEach(position => {
+      const descriptor = sides[position.side];
+      const naturalDistance = calculateNaturalDistance(frame.reference, position.side, frame.viewport);
+
+      translation[descriptor.scroll] = descriptor.sign * (position.distance - naturalDistance);
+   });
+
+   store.getData(sticky.element).translation = translation;
+   applyTransform(sticky, getTransform(translation));
+}
+
+/**
+ * Updates the position of a sticking element
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object[]} positions The sides and the distances of the element from the same sides of the viewport
+ * @param {Object} frame The current state of the element and of its scrolling container
+ */
+function updatePosition(sticky, positions, frame) {
+   if (store.getData(sticky.element, 'strategy') === 'transform') {
+      translateToPositions(sticky, positions, frame);
+
+      return;
+   }
+
+   if (!positions.some(position => sides[position.side].scroll === 'left')) {
+      applyInlinePosition(sticky, frame);
+   }
+
+   positions.forEach(position => applyPosition(sticky, position, frame.viewport));
+   clipToViewport(sticky, positions, frame);
+}
+
+/**
+ * Returns the style the placeholder element needs to occupy
+ * the same space as the sticky element, based on the current
+ * values of the latter
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} rect The position and the size of the element, relative to the window
+ *
+ * @return {Object}
+ */
+function getPlaceholderStyle(sticky, rect) {
+   const elementStyle = window.getComputedStyle(sticky.element);
+   const placeholderStyle = {
+      zIndex: store.getData(sticky.element, 'zIndex')
+   };
+
+   Style.copyStyleProperties(placeholderStyle, elementStyle, layoutProperties);
+   Style.copyStyleProperties(
+      placeholderStyle,
+      convertNumbersToPixels(rect),
+      [
+         'width',
+         'height'
+      ]
+   );
+
+   // Inline elements ignore the width and the height
+   if (placeholderStyle.display === 'inline') {
+      placeholderStyle.display = 'inline-block';
+   }
+
+   return placeholderStyle;
+}
+
+/**
+ * Moves a rectangle by the distances provided
+ *
+ * @param {Object} rect The rectangle to move
+ * @param {number} top The vertical distance
+ * @param {number} left The horizontal distance
+ *
+ * @return {Object}
+ */
+function translateRect(rect, top, left) {
+   return {
+      top: rect.top + top,
+      right: rect.right + left,
+      bottom: rect.bottom + top,
+      left: rect.left + left,
+      width: rect.width,
+      height: rect.height
+   };
+}
+
+/**
+ * Returns the object occupying the original position of the element, that is
+ * the element itself if it isn't sticking, or the placeholder otherwise.
+ * If the element sticks without a placeholder or is translated, an object exposing the
+ * <code>getBoundingClientRect()</code> method, based on the position
+ * measured when the element started sticking, is returned.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} [frame] The current state of the scrolling container
+ *
+ * @return {HTMLElement|Object}
+ */
+function getReference(sticky, frame) {
+   const data = store.getData(sticky.element);
+
+   if (!data.isStuck) {
+      return sticky.element;
+   }
+
+   if (data.placeholder && data.strategy === 'fixed') {
+      return data.placeholder;
+   }
+
+   const viewport = frame ? frame.viewport : Viewport.getRect(data.container);
+   const scrollPosition = frame ? frame.scrollPosition : Viewport.getScrollPosition(data.container);
+
+   return {
+      getBoundingClientRect: () => translateRect(
+         data.startRect,
+         viewport.top - scrollPosition.top,
+         viewport.left - scrollPosition.left
+      )
+   };
+}
+
+/**
+ * Returns the side where the lines of the parent of the element start, that is
+ * <code>right</code> in right-to-left layouts and <code>left</code> otherwise
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {string}
+ */
+function getInlineStart(sticky) {
+   const parent = sticky.element.parentNode;
+   const style = window.getComputedStyle(parent && parent.nodeType === 1 ? parent : sticky.element);
+
+   return style.direction === 'rtl' ? 'right' : 'left';
+}
+
+/**
+ * Measures the sides the element sticks to, and its offsets and
+ * margins when sticking
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {Object}
+ */
+function measureMetrics(sticky) {
+   const stickyMargins = getStickyMargins(sticky);
+   const elementStyle = window.getComputedStyle(sticky.element);
+   const metrics = {
+      sides: getStickySides(sticky, elementStyle),
+      stickyMargins: stickyMargins,
+      offsets: {},
+      boundary: getBoundary(sticky),
+      strategy: getStrategy(sticky),
+      inlineStart: getInlineStart(sticky),
+      isTall: sticky.settings.tall
+   };
+
+   metrics.sides.forEach(side => {
+      metrics.offsets[side] = parseFloat(elementStyle[side]) || 0;
+   });
+
+   return metrics;
+}
+
+/**
+ * Returns the sides the element sticks to, and its offsets and margins
+ * when sticking, measuring them if they have been discarded
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {Object}
+ */
+function getMetrics(sticky) {
+   const data = store.getData(sticky.element);
+
+   if (!data.metrics) {
+      data.metrics = measureMetrics(sticky);
+   }
+
+   return data.metrics;
+}
+
+/**
+ * Returns the sides the element sticks to, and its offsets and margins
+ * when sticking, using the current values of the offsets provided in the settings
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {Object}
+ */
+function getCurrentMetrics(sticky) {
+   const metrics = getMetrics(sticky);
+   const offsets = Object.assign({}, metrics.offsets);
+
+   metrics.sides.forEach(side => {
+      const offset = getOffsetSetting(sticky, side);
+
+      if (offset !== null) {
+         offsets[side] = offset;
+      }
+   });
+
+   return Object.assign({}, metrics, {
+      offsets: offsets
+   });
+}
+
+/**
+ * Tests if the element is updated, that is if it's enabled
+ * and the media query of its settings, if any, matches
+ *
+ * @param {Object} data The data stored for the element
+ *
+ * @return {boolean}
+ */
+function isActive(data) {
+   return data.isEnabled && data.isMatching;
+}
+
+/**
+ * Returns the value of the <code>position</code> property making an element stick
+ * natively, possibly vendor-prefixed, or an empty string if not supported
+ *
+ * @return {string}
+ */
+function getNativeStickyValue() {
+   const prefixes = [
+      'ms',
+      'webkit'
+   ];
+   let testStyle = '';
+   const element = document.createElement('div');
+
+   // The unprefixed value is the last one, so that it's preferred if supported
+   prefixes.forEach(prefix => {
+      testStyle += `position:-${prefix}-sticky;`;
+   });
+   element.style.cssText = `${testStyle}position:sticky;`;
+
+   return element.style.position;
+}
+
+/**
+ * Tests if the element sticks natively, that is if the <code>hybrid</code> option
+ * is enabled and the browser supports both <code>position: sticky</code>
+ * and <code>IntersectionObserver</code>
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {boolean}
+ */
+function isNative(sticky) {
+   return !!sticky.settings.hybrid && !!window.IntersectionObserver && !!getNativeStickyValue();
+}
+
+/**
+ * Tests if two Sticky objects stack together on a given side. The elements sticking
+ * natively are excluded, because their state is only known through their
+ * <code>IntersectionObserver</code> and can't be measured by other elements.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Sticky} other Another instance of a Sticky object
+ * @param {string} side The side the elements stick to
+ *
+ * @return {boolean}
+ */
+function isInSameStack(sticky, other, side) {
+   const otherData = store.getData(other.element);
+
+   return other.settings.stack &&
+      !!otherData &&
+      isActive(otherData) &&
+      !isNative(other) &&
+      otherData.container === store.getData(sticky.element, 'container') &&
+      getMetrics(other).sides.indexOf(side) !== -1;
+}
+
+/**
+ * Calculates the additional offset of a stacking element on a given side,
+ * that is the sum of the heights of the elements of the same stack
+ * sticking before it on the top, or after it on the bottom
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {string} side The side the element sticks to
+ * @param {Object} context The object shared by all the Sticky objects during an update
+ *
+ * @return {number}
+ */
+function getStackOffset(sticky, side, context) {
+   const index = instances.indexOf(sticky);
+   const stack = instances.filter((other, otherIndex) => {
+      const isPreceding = sides[side].sign > 0 ? otherIndex < index : otherIndex > index;
+
+      return isPreceding && isInSameStack(sticky, other, side);
+   });
+
+   return stack.reduce((offset, other) => {
+      // The measurement of the tasks is performed only once during an update,
+      // so the one of the other element is reused, if already available
+      const measurement = store.getData(other.element, 'task').read(context);
+      const position = measurement && measurement.positions.filter(otherPosition => otherPosition.side === side)[0];
+
+      // Only the visible part of an element being pushed out by the end
+      // of its boundary is added, as for the obscured insets
+      return offset + (position && position.isInRange ?
+         Math.max(0, measurement.frame.size.height + position.distance - position.offset) :
+         0);
+   }, 0);
+}
+
+/**
+ * Tests if two Sticky objects are grouped together on a given side
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Sticky} other Another instance of a Sticky object
+ * @param {string} side The side the elements stick to
+ *
+ * @return {boolean}
+ */
+function isInSameGroup(sticky, other, side) {
+   const otherData = store.getData(other.element);
+
+   return other !== sticky &&
+      other.settings.group &&
+      !!otherData &&
+      otherData.container === store.getData(sticky.element, 'container') &&
+      getMetrics(other).sides.indexOf(side) !== -1;
+}
+
+/**
+ * Returns the position, relative to the window, of the given side of the element
+ * of the same group that follows the element on that side, that is the next one
+ * on the top and on the left, or the previous one on the bottom and on the right.
+ * If there isn't such element, <code>null</code> is returned.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {string} side The side the element sticks to
+ *
+ * @return {number|null}
+ */
+function getGroupLimit(sticky, side) {
+   const index = instances.indexOf(sticky);
+   const group = instances.filter((other, otherIndex) => {
+      const isFollowing = sides[side].sign > 0 ? otherIndex > index : otherIndex < index;
+
+      return isFollowing && isInSameGroup(sticky, other, side);
+   });
+   const other = sides[side].sign > 0 ? group[0] : group[group.length - 1];
+
+   if (!other) {
+      return null;
+   }
+
+   return getReference(other).getBoundingClientRect()[side];
+}
+
+/**
+ * Returns the metrics of the element including, for each side, the limit
+ * set by the elements of the same group
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} metrics The sides, the offsets and the margins of the element when sticking
+ *
+ * @return {Object}
+ */
+function getGroupedMetrics(sticky, metrics) {
+   if (!sticky.settings.group) {
+      return metrics;
+   }
+
+   const limits = {};
+
+   metrics.sides.forEach(side => {
+      limits[side] = getGroupLimit(sticky, side);
+   });
+
+   return Object.assign({}, metrics, {
+      limits: limits
+   });
+}
+
+/**
+ * Returns the sides the element sticks to, and its offsets and margins
+ * when sticking, including the offsets due to the elements of the same stack
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} context The object shared by all the Sticky objects during an update
+ *
+ * @return {Object}
+ */
+function getStackedMetrics(sticky, context) {
+   const metrics = getCurrentMetrics(sticky);
+
+   if (!sticky.settings.stack) {
+      return metrics;
+   }
+
+   const offsets = Object.assign({}, metrics.offsets);
+
+   metrics.sides
+      .filter(side => sides[side].scroll === 'top')
+      .forEach(side => {
+         offsets[side] += getStackOffset(sticky, side, context);
+      });
+
+   return Object.assign({}, metrics, {
+      offsets: offsets
+   });
+}
+
+/**
+ * Makes the element stick with <code>position: fixed</code>, replacing it
+ * with its placeholder, if any
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} start The style of the placeholder element and the widths of the cells, if any
+ */
+function fixElement(sticky, start) {
+   const data = store.getData(sticky.element);
+
+   // The default placeholder of a table copies the current content of the element,
+   // before the widths of the cells are set, so that it lays out the same columns
+   if (data.placeholder && start.cellWidths && sticky.settings.placeholder === true) {
+      Table.copyContent(sticky.element, data.placeholder);
+   }
+
+   Style.copyStyleProperties(
+      sticky.element.style,
+      {
+         position: 'fixed'
+      }
+   );
+   Style.copyStyleProperties(sticky.element.style, start.placeholderStyle, properties);
+
+   if (start.cellWidths) {
+      Table.setCellWidths(sticky.element, start.cellWidths);
+   }
+
+   if (data.placeholder) {
+      Style.copyStyleProperties(data.placeholder.style, start.placeholderStyle);
+      sticky.element.parentNode.insertBefore(data.placeholder, sticky.element);
+   }
+}
+
+/**
+ * Makes the element stick
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} start The style of the placeholder element and the original position of the element
+ */
+function startSticky(sticky, start) {
+   const data = store.getData(sticky.element);
+
+   data.position = sticky.element.style.position;
+   data.startRect = start.rect;
+   data.strategy = start.strategy;
+   data.isStuck = true;
+
+   // A translated element keeps occupying its original position
+   if (start.strategy === 'transform') {
+      sticky.element.style.position = start.isStatic ? 'relative' : data.position;
+      sticky.element.style.zIndex = start.placeholderStyle.zIndex;
+
+      // The offsets, ignored while the element was static, would move it
+      // in addition to the translation once relatively positioned
+      if (start.isStatic) {
+         Object.keys(sides).forEach(side => {
+            sticky.element.style[side] = 'auto';
+         });
+      }
+   } else {
+      fixElement(sticky, start);
+   }
+}
+
+/**
+ * Makes the element stop sticking
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function endSticky(sticky) {
+   cleanUp(sticky);
+}
+
+/**
+ * Returns the state of the element based on its positions. The state is
+ * <code>normal</code> if the element isn't sticking, <code>constrained</code>
+ * if it's sticking but pushed by the end of its parent, and
+ * <code>sticky</code> otherwise.
+ *
+ * @param {Object[]} positions The positions of the element
+ *
+ * @return {string}
+ */
+function getState(positions) {
+   if (positions.some(position => position.isConstrained)) {
+      return 'constrained';
+   }
+
+   return positions.some(position => position.isInRange) ? 'sticky' : 'normal';
+}
+
+/**
+ * Returns the position describing the state of the element, that is the first
+ * position constrained or, if none, the first position sticking or,
+ * if none, the first position on a side the element sticks to
+ *
+ * @param {Object[]} positions The positions of the element
+ *
+ * @return {Object}
+ */
+function getMainPosition(positions) {
+   const stickyPositions = positions.filter(position => position.boundaries);
+
+   return positions.filter(position => position.isConstrained)[0] ||
+      positions.filter(position => position.isInRange)[0] ||
+      stickyPositions[0];
+}
+
+/**
+ * Returns the events to fire when the state of the element changes
+ *
+ * @param {string} previousState The previous state of the element
+ * @param {string} state The new state of the element
+ *
+ * @return {string[]}
+ */
+function getStateEvents(previousState, state) {
+   const events = [];
+
+   if (previousState === 'normal') {
+      events.push('stickystart');
+   }
+
+   if (state === 'constrained') {
+      events.push('stickyconstrained');
+   } else if (previousState === 'constrained') {
+      events.push('stickyunconstrained');
+   }
+
+   if (state === 'normal') {
+      events.push('stickyend');
+   }
+
+   return events.concat('stickychange');
+}
+
+/**
+ * Updates the classes of the element based on its state
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {string} state The state of the element
+ */
+function updateClasses(sticky, state) {
+   const classList = sticky.element.classList;
+
+   if (state === 'normal') {
+      classList.remove(sticky.settings.activeClass);
+   } else {
+      classList.add(sticky.settings.activeClass);
+   }
+
+   if (state === 'constrained') {
+      classList.add(sticky.settings.constrainedClass);
+   } else {
+      classList.remove(sticky.settings.constrainedClass);
+   }
+
+   if (state === 'normal') {
+      classList.remove(sticky.settings.pinnedClass, sticky.settings.unpinnedClass);
+   }
+}
+
+/**
+ * Tests if the debug mode is enabled for the element
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {boolean}
+ */
+function isDebugged(sticky) {
+   return isDebugEnabled || !!sticky.settings.debug;
+}
+
+/**
+ * Logs a change of state of the element in the console,
+ * together with the values that caused it
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {string} previousState The previous state of the element
+ * @param {Object} detail The details of the new state of the element
+ */
+function logTransition(sticky, previousState, detail) {
+   const data = store.getData(sticky.element);
+   const boundaries = detail.boundaries || {};
+
+   if (!window.console || !window.console.log) {
+      return;
+   }
+
+   window.console.log(`Audero Sticky: ${previousState} -> ${detail.state}`, sticky.element, {
+      side: detail.direction,
+      start: boundaries.start,
+      end: boundaries.end,
+      offset: detail.offset,
+      scrollPosition: data.scrollPosition,
+      stickyMargins: data.metrics ? data.metrics.stickyMargins : null,
+      zIndex: data.zIndex,
+      strategy: data.strategy
+   });
+}
+
+/**
+ * Updates the state of the element, firing the relevant events
+ * if it's changed, and its classes
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {string} state The new state of the element
+ * @param {Object[]} positions The positions of the element
+ */
+function updateState(sticky, state, positions) {
+   const data = store.getData(sticky.element);
+   const previousState = data.state;
+
+   data.state = state;
+
+   if (previousState !== state) {
+      const position = getMainPosition(positions) || {};
+      const detail = {
+         state: state,
+         direction: position.side,
+         boundaries: position.boundaries,
+         offset: position.distance
+      };
+
+      if (isDebugged(sticky)) {
+         logTransition(sticky, previousState, detail);
+      }
+
+      getStateEvents(previousState, state).forEach(eventName => {
+         EventEmitter.fireEvent(eventName, sticky.element, eventName === 'stickychange' ? {
+            detail: detail
+         } : {});
+      });
+   }
+
+   updateClasses(sticky, state);
+}
+
+/**
+ * Returns the distance the content has been scrolled vertically in the same direction,
+ * positive if scrolled down and negative if scrolled up
+ *
+ * @param {number} previousDistance The distance previously scrolled in the same direction
+ * @param {number} delta The distance scrolled since the last update
+ *
+ * @return {number}
+ */
+function getScrolledDistance(previousDistance, delta) {
+   return previousDistance * delta > 0 ? previousDistance + delta : delta;
+}
+
+/**
+ * Hides or shows a sticking element, with a transform so that
+ * the change can be animated with a CSS transition
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object|null} position The vertical position the element sticks to
+ * @param {Object} frame The current state of the element and of its scrolling container
+ */
+function applyPinning(sticky, position, frame) {
+   const data = store.getData(sticky.element);
+   const classList = sticky.element.classList;
+   const translation = Object.assign({
+      top: 0,
+      left: 0
+   }, data.translation);
+
+   if (!data.isPinned) {
+      translation.top -= sides[position.side].sign * (position.distance + frame.size.height);
+   }
+
+   applyTransform(sticky, getTransform(translation));
+   classList.add(data.isPinned ? sticky.settings.pinnedClass : sticky.settings.unpinnedClass);
+   classList.remove(data.isPinned ? sticky.settings.unpinnedClass : sticky.settings.pinnedClass);
+}
+
+/**
+ * Hides a sticking element when the content is scrolled down, and shows it
+ * when the content is scrolled up, firing the relevant events
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} measurement The values returned by <code>measure()</code>
+ */
+function updatePinning(sticky, measurement) {
+   const data = store.getData(sticky.element);
+   const position = measurement.positions
+      .filter(verticalPosition => verticalPosition.boundaries && verticalPosition.isInRange)
+      .filter(verticalPosition => sides[verticalPosition.side].scroll === 'top')[0];
+
+   if (!sticky.settings.headroom || !position) {
+      data.isPinned = true;
+      data.scrolledDistance = 0;
+
+      return;
+   }
+
+   data.scrolledDistance = getScrolledDistance(data.scrolledDistance, measurement.scrollDelta);
+
+   if (Math.abs(data.scrolledDistance) > sticky.settings.tolerance && data.isPinned !== data.scrolledDistance < 0) {
+      data.isPinned = data.scrolledDistance < 0;
+      EventEmitter.fireEvent(data.isPinned ? 'stickypin' : 'stickyunpin', sticky.element);
+   }
+
+   applyPinning(sticky, position, measurement.frame);
+}
+
+/**
+ * Tests if the progress of the scroll through the range in which the element
+ * sticks has to be reported
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {boolean}
+ */
+function isProgressReported(sticky) {
+   return !!(sticky.settings.progress || sticky.settings.onProgress || sticky.settings.progressProperty);
+}
+
+/**
+ * Reports the progress of the scroll through the range in which the element sticks
+ * through a CSS custom property, an event, and a function, based on the settings
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {number} progress The progress, as a number between 0 and 1
+ */
+function reportProgress(sticky, progress) {
+   if (sticky.settings.progressProperty) {
+      sticky.element.style.setProperty(sticky.settings.progressProperty, String(progress));
+   }
+
+   if (sticky.settings.progress) {
+      EventEmitter.fireEvent('stickyprogress', sticky.element, {
+         detail: {
+            progress: progress
+         }
+      });
+   }
+
+   if (sticky.settings.onProgress) {
+      sticky.settings.onProgress(progress, sticky);
+   }
+}
+
+/**
+ * Reports the progress of the scroll through the range in which the element
+ * sticks on the first side it sticks to, if changed
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object[]} positions The positions of the element
+ */
+function updateProgress(sticky, positions) {
+   const data = store.getData(sticky.element);
+   const position = positions.filter(stickyPosition => stickyPosition.boundaries)[0];
+
+   if (!position || !isProgressReported(sticky) || position.progress === data.progress) {
+      return;
+   }
+
+   data.progress = position.progress;
+   reportProgress(sticky, data.progress);
+}
+
+/**
+ * Restores the element in its original position, without firing any event,
+ * and discards all the values measured. This is needed when the layout
+ * of the page might have changed, for example because the window has been resized.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function reset(sticky) {
+   const data = store.getData(sticky.element);
+
+   if (!data) {
+      return;
+   }
+
+   cleanUp(sticky);
+   updateClasses(sticky, 'normal');
+   data.metrics = null;
+   data.positions = null;
+}
+
+/**
+ * Measures the element before it starts sticking. It returns how the element is moved,
+ * the style of the placeholder and the original position of the element, expressed
+ * in the coordinates of the content of the scrolling container.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} frame The current state of the scrolling container
+ *
+ * @return {Object}
+ */
+function measureStart(sticky, frame) {
+   const rect = sticky.element.getBoundingClientRect();
+
+   return {
+      strategy: getMetrics(sticky).strategy,
+      isStatic: window.getComputedStyle(sticky.element).position === 'static',
+      placeholderStyle: getPlaceholderStyle(sticky, rect),
+      cellWidths: Table.isRow(sticky.element) ? Table.measureCellWidths(sticky.element) : null,
+      rect: translateRect(
+         rect,
+         frame.scrollPosition.top - frame.viewport.top,
+         frame.scrollPosition.left - frame.viewport.left
+      )
+   };
+}
+
+/**
+ * Tests if the progress last reported for the element, if any, is the one of the current
+ * scroll position, according to the boundaries previously calculated. It isn't when
+ * the content has been scrolled from one side of the range to far beyond the other.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} data The data stored for the element
+ * @param {Object} frame The current state of the scrolling container
+ *
+ * @return {boolean}
+ */
+function isProgressUpToDate(sticky, data, frame) {
+   const position = data.positions.filter(stickyPosition => stickyPosition.boundaries)[0];
+
+   return !isProgressReported(sticky) ||
+      !position ||
+      calculateProgress(position.side, position.boundaries, getViewportEdge(position.side, frame)) === data.progress;
+}
+
+/**
+ * Tests if the boundaries previously calculated for an element not sticking are still valid,
+ * comparing their start with the current position of the element. They aren't valid when
+ * the element has been moved without being resized, for example because the content
+ * preceding it has changed height.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} data The data stored for the element
+ * @param {Object} frame The current state of the scrolling container
+ *
+ * @return {boolean}
+ */
+function arePositionsUpToDate(sticky, data, frame) {
+   const rect = sticky.element.getBoundingClientRect();
+
+   return data.positions
+      .filter(position => position.boundaries)
+      .every(position => {
+         const descriptor = sides[position.side];
+         const shift = frame.scrollPosition[descriptor.scroll] - frame.viewport[descriptor.scroll];
+         const start = rect[position.side] - descriptor.sign * position.offset + shift;
+
+         return Math.abs(start - position.boundaries.start) < 1;
+      });
+}
+
+/**
+ * Tests if the update of an element can be skipped, that is if it isn't sticking,
+ * the boundaries previously calculated are still valid and far from the visible area
+ * of its scrolling container, and its progress doesn't need to be reported
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} data The data stored for the element
+ * @param {Object} frame The current state of the scrolling container
+ *
+ * @return {boolean}
+ */
+function isSkippable(sticky, data, frame) {
+   return !data.isStuck &&
+      !!data.positions &&
+      !isNearViewport(data.positions, frame) &&
+      isProgressUpToDate(sticky, data, frame) &&
+      arePositionsUpToDate(sticky, data, frame);
+}
+
+/**
+ * Returns the distance the content has been scrolled vertically since the last update
+ *
+ * @param {Object} frame The current and the previous state of the scrolling container
+ *
+ * @return {number}
+ */
+function getScrollDelta(frame) {
+   return frame.previous.scrollPosition ? frame.scrollPosition.top - frame.previous.scrollPosition.top : 0;
+}
+
+/**
+ * Performs all the layout reads needed to update the element.
+ * Returns <code>null</code> if the element doesn't need to be updated,
+ * for example because it's far from the visible area of its scrolling container.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} context The object shared by all the Sticky objects during an update
+ *
+ * @return {Object|null}
+ */
+function measure(sticky, context) {
+   const data = store.getData(sticky.element);
+
+   if (!data) {
+      return null;
+   }
+
+   const frame = {
+      viewport: Viewport.getRect(data.container),
+      scrollPosition: Viewport.getScrollPosition(data.container),
+      previous: {
+         positions: data.positions,
+         scrollPosition: data.scrollPosition
+      }
+   };
+
+   if (isSkippable(sticky, data, frame)) {
+      return null;
+   }
+
+   // The position is calculated based on the element
+   // itself if it's not sticking;
+   // otherwise the placeholder is used.
+   frame.reference = getReference(sticky, frame);
+   frame.referenceRect = frame.reference.getBoundingClientRect();
+   frame.inlineStart = getMetrics(sticky).inlineStart;
+   frame.size = getSize(sticky.element);
+   data.positions = calculatePositions(getGroupedMetrics(sticky, getStackedMetrics(sticky, context)), frame);
+   data.scrollPosition = frame.scrollPosition;
+
+   const isInRange = data.positions.some(position => position.isInRange);
+
+   return {
+      frame: frame,
+      positions: data.positions,
+      isInRange: isInRange,
+      scrollDelta: getScrollDelta(frame),
+      start: isInRange && !data.isStuck ? measureStart(sticky, frame) : null
+   };
+}
+
+/**
+ * Returns the values measured for the element during an update,
+ * measuring them only the first time they're requested
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object} context The object shared by all the Sticky objects during an update
+ *
+ * @return {Object|null}
+ */
+function getMeasurement(sticky, context) {
+   const data = store.getData(sticky.element);
+
+   if (!data) {
+      return null;
+   }
+
+   if (data.context !== context) {
+      data.context = context;
+      data.measurement = measure(sticky, context);
+   }
+
+   return data.measurement;
+}
+
+/**
+ * Returns the parts of the visible area of the scrolling container
+ * covered by the element on the top and on the bottom
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {Object}
+ */
+function getCoveredInsets(sticky) {
+   const data = store.getData(sticky.element);
+   const insets = {
+      top: 0,
+      bottom: 0
+   };
+
+   if (!data.isStuck || !data.isPinned || !data.measurement) {
+      return insets;
+   }
+
+   data.measurement.positions
+      .filter(position => position.boundaries && position.isInRange && sides[position.side].scroll === 'top')
+      .forEach(position => {
+         insets[position.side] = Math.max(0, position.distance + data.measurement.frame.size.height);
+      });
+
+   return insets;
+}
+
+/**
+ * Calculates the parts of the visible area of a scrolling container covered
+ * by the sticking elements having the <code>scrollPadding</code> option enabled
+ *
+ * @param {HTMLElement|Window} container The scrolling container
+ *
+ * @return {Object}
+ */
+function calculateObscuredInsets(container) {
+   return instances
+      .filter(instance => instance.settings.scrollPadding && store.getData(instance.element, 'container') === container)
+      .map(getCoveredInsets)
+      .reduce((insets, coveredInsets) => {
+         return {
+            top: Math.max(insets.top, coveredInsets.top),
+            bottom: Math.max(insets.bottom, coveredInsets.bottom)
+         };
+      }, {
+         top: 0,
+         bottom: 0
+      });
+}
+
+/**
+ * Sets the CSS custom properties exposing the obscured insets of a scrolling container,
+ * or removes them if no insets are provided
+ *
+ * @param {HTMLElement|Window} container The scrolling container
+ * @param {Object|null} insets The obscured insets
+ */
+function exposeInsets(container, insets) {
+   const style = (container === window ? document.documentElement : container).style;
+
+   ['top', 'bottom'].forEach(side => {
+      if (insets) {
+         style.setProperty(`--sticky-inset-${side}`, `${insets[side]}px`);
+      } else {
+         style.removeProperty(`--sticky-inset-${side}`);
+      }
+   });
+}
+
+/**
+ * Updates the CSS custom properties exposing the obscured insets
+ * of a scrolling container, if they're changed
+ *
+ * @param {HTMLElement|Window} container The scrolling container
+ */
+function updateObscuredInsets(container) {
+   const insets = calculateObscuredInsets(container);
+   const exposed = exposedInsets.filter(entry => entry.container === container)[0];
+
+   if (exposed && exposed.insets.top === insets.top && exposed.insets.bottom === insets.bottom) {
+      return;
+   }
+
+   if (exposed) {
+      exposed.insets = insets;
+   } else {
+      exposedInsets.push({
+         container: container,
+         insets: insets
+      });
+   }
+
+   exposeInsets(container, insets);
+}
+
+/**
+ * Updates the obscured insets of the scrolling container of the element,
+ * if the element has the <code>scrollPadding</code> option enabled
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function updateStickyInsets(sticky) {
+   if (sticky.settings.scrollPadding) {
+      updateObscuredInsets(store.getData(sticky.element, 'container'));
+   }
+}
+
+/**
+ * Scrolls the content of a scrolling container, if needed, so that an element
+ * isn't hidden behind the sticking elements
+ *
+ * @param {HTMLElement} element The element to reveal
+ * @param {boolean} isBottomChecked Whether the bottom of the element is revealed too
+ */
+function revealElement(element, isBottomChecked) {
+   const container = Viewport.getScrollParent(element);
+
+   // Update the sticking elements synchronously, so that
+   // the insets reflect the current scroll position
+   scheduler.run();
+
+   const insets = calculateObscuredInsets(container);
+   const viewport = Viewport.getRect(container);
+   const rect = element.getBoundingClientRect();
+   let delta = Math.min(0, rect.top - viewport.top - insets.top);
+
+   if (delta === 0 && isBottomChecked) {
+      delta = Math.max(0, rect.bottom - viewport.bottom + insets.bottom);
+   }
+
+   if (delta !== 0) {
+      Viewport.scrollBy(container, delta);
+   }
+}
+
+/**
+ * Reveals the target of the fragment of the URL, if any
+ */
+function revealHashTarget() {
+   let name = window.location.hash.slice(1);
+
+   // A fragment that isn't a valid escape sequence, such as "#%", is used as is
+   try {
+      name = decodeURIComponent(name);
+   } catch(ex) {}
+
+   const target = name && (document.getElementById(name) || document.getElementsByName(name)[0]);
+
+   if (target) {
+      revealElement(target, false);
+   }
+}
+
+/**
+ * Tests if an element received the focus through the keyboard. The browsers not supporting
+ * the <code>:focus-visible</code> pseudo-class consider every focus as a keyboard focus.
+ *
+ * @param {HTMLElement} element The focused element
+ *
+ * @return {boolean}
+ */
+function isFocusVisible(element) {
+   try {
+      return matchesSelector(element, ':focus-visible');
+   } catch(ex) {
+      return true;
+   }
+}
+
+/**
+ * Reveals the element that received the focus through the keyboard,
+ * unless it's part of a sticking element
+ *
+ * @param {HTMLElement} element The focused element
+ */
+function revealFocusedElement(element) {
+   if (
+      !element ||
+      element.nodeType !== 1 ||
+      !isFocusVisible(element) ||
+      instances.some(instance => instance.element.contains(element))
+   ) {
+      return;
+   }
+
+   revealElement(element, true);
+}
+
+/**
+ * The handlers of the events that can make an element hidden behind the sticking elements
+ *
+ * @type {Object}
+ */
+const insetsHandlers = {
+   hashchange: () => revealHashTarget(),
+   focusin: event => revealFocusedElement(event.target)
+};
+
+/**
+ * Listens to the events that can make an element hidden behind the sticking elements
+ * while at least an element has the <code>scrollPadding</code> option enabled,
+ * removing the CSS custom properties once none has it
+ */
+function updateInsetsListeners() {
+   const isNeeded = instances.some(instance => instance.settings.scrollPadding);
+   const method = isNeeded ? 'addEventListener' : 'removeEventListener';
+
+   window[method]('hashchange', insetsHandlers.hashchange);
+   document[method]('focusin', insetsHandlers.focusin);
+
+   if (!isNeeded) {
+      exposedInsets.splice(0).forEach(entry => exposeInsets(entry.container, null));
+   }
+}
+
+/**
+ * Performs all the style writes needed to update the element
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {Object|null} measurement The values returned by <code>measure()</code>
+ */
+function render(sticky, measurement) {
+   const data = store.getData(sticky.element);
+
+   if (!data || !measurement) {
+      return;
+   }
+
+   if (measurement.isInRange) {
+      if (!data.isStuck) {
+         startSticky(sticky, measurement.start);
+      }
+
+      updatePosition(sticky, measurement.positions, measurement.frame);
+   } else if (data.isStuck) {
+      endSticky(sticky);
+   }
+
+   updateState(sticky, getState(measurement.positions), measurement.positions);
+   updatePinning(sticky, measurement);
+   updateProgress(sticky, measurement.positions);
+   updateStickyInsets(sticky);
+}
+
+/**
+ * Returns the line, drawn by the debug overlay, at which the element starts
+ * or ends sticking on a side, relative to the window
+ *
+ * @param {string} kind The kind of line, <code>start</code> or <code>end</code>
+ * @param {Object} position The position of the element on the side
+ * @param {Object} frame The current state of the scrolling container
+ *
+ * @return {Object}
+ */
+function createDebugLine(kind, position, frame) {
+   const descriptor = sides[position.side];
+   const shift = frame.scrollPosition[descriptor.scroll] - frame.viewport[descriptor.scroll];
+   const offset = position.boundaries[kind] - shift - 1;
+
+   return descriptor.scroll === 'top' ?
+      {
+         kind: kind,
+         top: offset,
+         left: frame.viewport.left,
+         width: frame.viewport.width,
+         height: 2
+      } :
+      {
+         kind: kind,
+         top: frame.viewport.top,
+         left: offset,
+         width: 2,
+         height: frame.viewport.height
+      };
+}
+
+/**
+ * Returns the text of the label of the debug overlay, describing the state of the element
+ *
+ * @param {Object} data The data stored for the element
+ *
+ * @return {string}
+ */
+function getDebugLabel(data) {
+   const position = getMainPosition(data.positions || []);
+   const parts = [data.state];
+
+   if (position) {
+      parts.push(position.side, `offset ${position.distance}px`);
+   }
+
+   if (position && position.boundaries) {
+      parts.push(`start ${Math.round(position.boundaries.start)}`, `end ${Math.round(position.boundaries.end)}`);
+   }
+
+   return parts.join(' | ');
+}
+
+/**
+ * Measures the parts of the debug overlay of the element
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {Object}
+ */
+function measureDebugParts(sticky) {
+   const data = store.getData(sticky.element);
+   const frame = {
+      viewport: Viewport.getRect(data.container),
+      scrollPosition: Viewport.getScrollPosition(data.container)
+   };
+   const rect = sticky.element.getBoundingClientRect();
+
+   return {
+      lines: (data.positions || [])
+         .filter(position => position.boundaries)
+         .reduce((lines, position) => lines.concat(
+            createDebugLine('start', position, frame),
+            createDebugLine('end', position, frame)
+         ), []),
+      boundary: getBoundary(sticky).getBoundingClientRect(),
+      placeholder: data.placeholder && data.placeholder.parentNode ? data.placeholder.getBoundingClientRect() : null,
+      label: {
+         text: getDebugLabel(data),
+         top: rect.top,
+         left: rect.left
+      }
+   };
+}
+
+/**
+ * Removes the debug overlay of the element, if any
+ *
+ * @param {Object} data The data stored for the element
+ */
+function removeDebugOverlay(data) {
+   if (data.debugOverlay) {
+      data.debugOverlay.remove();
+      data.debugOverlay = null;
+   }
+}
+
+/**
+ * Draws the debug overlay of the element if the debug mode is enabled,
+ * or removes it otherwise. The layout is read after the styles have been
+ * written, to show the final state of the update.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function updateDebugOverlay(sticky) {
+   const data = store.getData(sticky.element);
+
+   if (!data) {
+      return;
+   }
+
+   if (!isDebugged(sticky)) {
+      removeDebugOverlay(data);
+
+      return;
+   }
+
+   if (!data.debugOverlay) {
+      data.debugOverlay = new DebugOverlay();
+   }
+
+   data.debugOverlay.draw(measureDebugParts(sticky));
+}
+
+/**
+ * Adds a Sticky object to the list of the initialized ones,
+ * keeping the list sorted by the position of the elements in the document
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function addInstance(sticky) {
+   const index = instances.filter(instance => {
+      return sticky.element.compareDocumentPosition(instance.element) === Node.DOCUMENT_POSITION_PRECEDING ||
+         instance.element.contains(sticky.element);
+   }).length;
+
+   instances.splice(index, 0, sticky);
+}
+
+/**
+ * Removes a Sticky object from the list of the initialized ones
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function removeInstance(sticky) {
+   const index = instances.indexOf(sticky);
+
+   if (index !== -1) {
+      instances.splice(index, 1);
+   }
+}
+
+/**
+ * Requests the recalculation of the position of the element for the next update.
+ * The element isn't destroyed and initialized again, so no event is fired
+ * unless the element starts or ends sticking as a result.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function refresh(sticky) {
+   const data = store.getData(sticky.element);
+
+   if (!isActive(data)) {
+      return;
+   }
+
+   scheduler
+      .reset(data.task)
+      .schedule();
+}
+
+/**
+ * Makes the element stop sticking and stops updating it
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function pause(sticky) {
+   const data = store.getData(sticky.element);
+
+   scheduler.remove(data.task);
+   endSticky(sticky);
+   updateState(sticky, 'normal', data.positions || []);
+   updateStickyInsets(sticky);
+   removeDebugOverlay(data);
+}
+
+/**
+ * Starts updating the element again after it has been paused
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function resume(sticky) {
+   scheduler.add(store.getData(sticky.element, 'task'));
+   refresh(sticky);
+}
+
+/**
+ * Starts watching the changes of size of the element, of its placeholder,
+ * and of its boundary, refreshing the element when needed
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {ResizeWatcher}
+ */
+function watchSize(sticky) {
+   const placeholder = store.getData(sticky.element, 'placeholder');
+   const watcher = new ResizeWatcher(() => refresh(sticky), isManagedNode)
+      .observe(sticky.element)
+      .observe(getBoundary(sticky));
+
+   return placeholder ? watcher.observe(placeholder) : watcher;
+}
+
+/**
+ * Starts listening to the changes of the media query of the settings, if any,
+ * pausing the element when it stops matching and resuming it when it matches again.
+ * It returns a function to stop listening to the changes.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {Function}
+ */
+function watchMedia(sticky) {
+   const data = store.getData(sticky.element);
+
+   if (!sticky.settings.media || !window.matchMedia) {
+      return () => {};
+   }
+
+   const mediaQueryList = window.matchMedia(sticky.settings.media);
+   const update = () => {
+      const wasActive = isActive(data);
+
+      data.isMatching = mediaQueryList.matches;
+
+      if (wasActive && !isActive(data)) {
+         pause(sticky);
+      } else if (!wasActive && isActive(data)) {
+         resume(sticky);
+      }
+   };
+
+   data.isMatching = mediaQueryList.matches;
+   mediaQueryList.addListener(update);
+
+   return () => mediaQueryList.removeListener(update);
+}
+
+/**
+ * Creates an invisible element of the same type as the element. A row or a group of rows
+ * of a table is copied, so that the placeholder keeps the widths of the columns.
+ * A <code>div</code> is used instead of a custom element, whose name contains a hyphen,
+ * because the custom element might behave as the element, for example sticking itself.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {HTMLElement}
+ */
+function createDefaultPlaceholder(sticky) {
+   if (Table.isRow(sticky.element)) {
+      return Table.createPlaceholder(sticky.element);
+   }
+
+   const nodeName = sticky.element.nodeName;
+   const element = document.createElement(nodeName.indexOf('-') === -1 ? nodeName : 'div');
+
+   element.style.visibility = 'hidden';
+
+   return element;
+}
+
+/**
+ * Returns the element occupying the original position of the element while it sticks,
+ * based on the settings, or <code>null</code> if no placeholder has to be used
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {HTMLElement|null}
+ */
+function createPlaceholder(sticky) {
+   const placeholder = sticky.settings.placeholder;
+
+   if (typeof placeholder === 'function') {
+      return placeholder(sticky) || null;
+   }
+
+   if (placeholder && placeholder.nodeType === 1) {
+      return placeholder;
+   }
+
+   if (placeholder === false) {
+      return null;
+   }
+
+   return createDefaultPlaceholder(sticky);
+}
+
+/**
+ * Throws an error if the element of a Sticky object hasn't been initialized
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function assertInitialized(sticky) {
+   if (!store.getData(sticky.element)) {
+      throw new Error('This element has not been initialized');
+   }
+}
+
+/**
+ * Returns the elements, among a node and its descendants, matching a CSS selector
+ * and not yet initialized. The nodes managed by the library are ignored.
+ *
+ * @param {Node} node The node in which the elements are searched
+ * @param {string} selector The CSS selector to use
+ *
+ * @return {HTMLElement[]}
+ */
+function findUninitializedElements(node, selector) {
+   if (node.nodeType !== 1 || isManagedNode(node)) {
+      return [];
+   }
+
+   const elements = [].slice.call(node.querySelectorAll(selector));
+
+   return (matchesSelector(node, selector) ? [node].concat(elements) : elements)
+      .filter(element => !store.getData(element) && !isManagedNode(element));
+}
+
+/**
+ * Initializes the elements matching the selector provided that have been
+ * added to the document, and destroys the Sticky objects whose elements
+ * have been removed from the document
+ *
+ * @param {MutationRecord[]} records The mutations of the document
+ * @param {string} selector The CSS selector to use
+ * @param {Sticky[]} stickies The Sticky objects created by the observation
+ * @param {Function} createInstance The function that creates and initializes a Sticky object
+ */
+function onDocumentMutation(records, selector, stickies, createInstance) {
+   records.forEach(record => {
+      [].forEach.call(record.addedNodes, node => {
+         findUninitializedElements(node, selector).forEach(element => {
+            stickies.push(createInstance(element));
+         });
+      });
+   });
+
+   stickies
+      .filter(sticky => !document.documentElement.contains(sticky.element) || !store.getData(sticky.element))
+      .forEach(sticky => {
+         if (store.getData(sticky.element)) {
+            sticky.destroy();
+         }
+
+         stickies.splice(stickies.indexOf(sticky), 1);
+      });
+}
+
+/**
+ * Watches the document to initialize the elements matching the selector provided
+ * as soon as they're added, and to destroy the Sticky objects whose elements are removed
+ *
+ * @param {string} selector The CSS selector to use
+ * @param {Sticky[]} stickies The Sticky objects already created
+ * @param {Function} createInstance The function that creates and initializes a Sticky object
+ *
+ * @return {Object}
+ */
+function observeDocument(selector, stickies, createInstance) {
+   const observer = window.MutationObserver ?
+      new window.MutationObserver(records => onDocumentMutation(records, selector, stickies, createInstance)) :
+      null;
+
+   if (observer) {
+      observer.observe(document.documentElement, {
+         childList: true,
+         subtree: true
+      });
+   }
+
+   return {
+      instances: stickies,
+      disconnect() {
+         if (observer) {
+            observer.disconnect();
+         }
+      }
+   };
+}
+
+/**
+ * Returns the elements of the document matching a CSS selector and not yet initialized.
+ * The selectors not supported by the browser don't match any element.
+ *
+ * @param {string} selector The CSS selector to use
+ *
+ * @return {HTMLElement[]}
+ */
+function queryUninitializedElements(selector) {
+   try {
+      return findUninitializedElements(document.documentElement, selector);
+   } catch(ex) {
+      return [];
+   }
+}
+
+/**
+ * Initializes the elements matching a rule of a style sheet
+ *
+ * @param {Object} rule The rule of the style sheet
+ * @param {Object} polyfill The state of the polyfill
+ * @param {Sticky[]} ruleStickies The Sticky objects created for the rule
+ */
+function initializeRule(rule, polyfill, ruleStickies) {
+   queryUninitializedElements(rule.selector).forEach(element => {
+      const sticky = polyfill.createInstance(element, rule.selector);
+
+      ruleStickies.push(sticky);
+      polyfill.stickies.push(sticky);
+   });
+}
+
+/**
+ * Destroys the Sticky objects created for a rule of a style sheet
+ *
+ * @param {Object} polyfill The state of the polyfill
+ * @param {Sticky[]} ruleStickies The Sticky objects created for the rule
+ */
+function destroyRule(polyfill, ruleStickies) {
+   ruleStickies.splice(0).forEach(sticky => {
+      if (store.getData(sticky.element)) {
+         sticky.destroy();
+      }
+
+      polyfill.stickies.splice(polyfill.stickies.indexOf(sticky), 1);
+   });
+}
+
+/**
+ * Applies a rule of a style sheet declaring a sticky position. If the rule
+ * is inside a media query, its elements are initialized only while the media query
+ * matches, and destroyed when it stops matching.
+ *
+ * @param {Object} rule The rule of the style sheet
+ * @param {Object} polyfill The state of the polyfill
+ */
+function applyStickyRule(rule, polyfill) {
+   const ruleStickies = [];
+   const mediaQueryList = rule.media && window.matchMedia ? window.matchMedia(rule.media) : null;
+   const update = () => {
+      if (!mediaQueryList || mediaQueryList.matches) {
+         initializeRule(rule, polyfill, ruleStickies);
+      } else {
+         destroyRule(polyfill, ruleStickies);
+      }
+   };
+
+   update();
+
+   if (mediaQueryList) {
+      mediaQueryList.addListener(update);
+      polyfill.listeners.push(() => mediaQueryList.removeListener(update));
+   }
+}
+
+/**
+ * Makes the element stick natively, if not already done by the style sheets, and starts
+ * observing its intersection with the visible area of its scrolling container, reduced by
+ * its offsets plus one pixel. Hence, the element isn't fully visible in the reduced area
+ * as soon as it sticks.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ */
+function observeIntersection(sticky) {
+   const data = store.getData(sticky.element);
+   const metrics = getCurrentMetrics(sticky);
+   const rootMargin = [
+      'top',
+      'right',
+      'bottom',
+      'left'
+   ]
+      .map(side => metrics.sides.indexOf(side) === -1 ? '0px' : `${-metrics.offsets[side] - 1}px`)
+      .join(' ');
+
+   if (!/sticky$/.test(window.getComputedStyle(sticky.element).position)) {
+      sticky.element.style.position = getNativeStickyValue();
+   }
+
+   const onIntersection = entries => {
+      data.intersection = entries[entries.length - 1];
+      scheduler.schedule();
+   };
+
+   data.intersectionObserver = new window.IntersectionObserver(onIntersection, {
+      root: data.container === window ? null : data.container,
+      rootMargin: rootMargin,
+      threshold: intersectionThresholds
+   });
+   data.intersectionObserver.observe(sticky.element);
+}
+
+/**
+ * Returns the positions of an element sticking natively, based on
+ * the last intersection observed. On each side it sticks to, the element
+ * is sticking if it's exactly one pixel outside the reduced visible area,
+ * and it's constrained if it's further outside but still intersecting.
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ * @param {IntersectionObserverEntry} entry The last intersection observed
+ *
+ * @return {Object[]}
+ */
+function getNativePositions(sticky, entry) {
+   const metrics = getCurrentMetrics(sticky);
+
+   return metrics.sides.map(side => {
+      const gap = sides[side].sign * (entry.boundingClientRect[side] - entry.rootBounds[side]);
+      const isInRange = gap < 0 && entry.isIntersecting;
+
+      return {
+         side: side,
+         boundaries: null,
+         isInRange: isInRange,
+         isConstrained: isInRange && gap < -1.5,
+         distance: metrics.offsets[side]
+      };
+   });
+}
+
+/**
+ * Creates the task to add to the scheduler to update the state of an element
+ * sticking natively, after its intersection has changed
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {Object}
+ */
+function createNativeTask(sticky) {
+   return {
+      reset: () => {
+         const data = store.getData(sticky.element);
+
+         data.metrics = null;
+         disconnectIntersection(data);
+      },
+      read: () => {
+         const data = store.getData(sticky.element);
+
+         if (!data) {
+            return null;
+         }
+
+         if (!data.intersectionObserver) {
+            observeIntersection(sticky);
+         }
+
+         const entry = data.intersection;
+
+         data.intersection = null;
+
+         return entry && entry.rootBounds ? getNativePositions(sticky, entry) : null;
+      },
+      write: positions => {
+         if (positions && store.getData(sticky.element)) {
+            updateState(sticky, getState(positions), positions);
+         }
+
+         updateDebugOverlay(sticky);
+      }
+   };
+}
+
+/**
+ * Creates the task to add to the scheduler to update the sticky object provided
+ *
+ * @param {Sticky} sticky An instance of a Sticky object
+ *
+ * @return {Object}
+ */
+function createTask(sticky) {
+   if (isNative(sticky)) {
+      return createNativeTask(sticky);
+   }
+
+   return {
+      reset: () => reset(sticky),
+      read: context => getMeasurement(sticky, context),
+      write: measurement => {
+         render(sticky, measurement);
+         updateDebugOverlay(sticky);
+      }
+   };
+}
+
+export
+ default class Sticky {
+   /**
+    * Creates a new Sticky object
+    *
+    * @param {HTMLElement} element The element to render as sticky
+    * @param {SettingsHash} [options={}] An object of options to customize the library
+    *
+    * @constructor
+    */
+   constructor(element, options = {}) {
+      this.element = element;
+      this.settings = Object.assign({}, defaults, options);
+   }
+
+   /**
+    * Tests if the <code>sticky</code> value for the <code>position</code>
+    * property is supported
+    *
+    * @return {boolean}
+    */
+   static isFeatureSupported() {
+      return !!getNativeStickyValue();
+   }
+
+   /**
+    * Autoinitializes all the elements of the page matched by the selector provided
+    * in the options or the default one if no selector is provided.
+    *
+    * The settings of each element can be customized through its <code>data-sticky-*</code>
+    * attributes, for example <code>data-sticky-offset-top</code>, which take precedence
+    * over the options provided.
+    *
+    * If the <code>observe</code> option is enabled, the document keeps being watched
+    * and an object is returned instead of the Sticky objects. The object exposes
+    * the list of the Sticky objects, kept up to date, as <code>instances</code>
+    * and a <code>disconnect()</code> method to stop watching the document.
+    *
+    * @param {SettingsHash} [options] An object of options to customize the library
+    *
+    * @return {Sticky[]|Object}
+    */
+   static autoInit(options = {}) {
+      options = Object.assign({}, defaults, options);
+
+      const createInstance = element => {
+         const sticky = new Sticky(
+            element,
+            Object.assign({}, options, DataAttributes.read(element, 'data-sticky-', attributeTypes))
+         );
+
+         sticky.init();
+
+         return sticky;
+      };
+
+      const stickies = [].map.call(document.querySelectorAll(options.selector), createInstance);
+
+      return options.observe ? observeDocument(options.selector, stickies, createInstance) : stickies;
+   }
+
+   /**
+    * Polyfills the <code>sticky</code> value of the <code>position</code> property, if not
+    * supported, by reading the style sheets of the page and initializing the elements matched
+    * by the rules declaring it, including the rules inside media queries. The elements declaring
+    * it in their <code>style</code> attribute are initialized too.
+    *
+    * The method returns an object exposing the list of the Sticky objects, kept up to date as
+    * the style sheets are loaded and the media queries change, as <code>instances</code>
+    * and a <code>disconnect()</code> method to stop following these changes.
+    *
+    * @param {SettingsHash} [options] An object of options to customize the library
+    *
+    * @return {Object}
+    */
+   static polyfill(options = {}) {
+      const polyfill = {
+         stickies: [],
+         listeners: [],
+         createInstance: (element, selector) => {
+            const sticky = new Sticky(element, Object.assign({}, options, {
+               selector: selector
+            }));
+
+            sticky.init();
+
+            return sticky;
+         }
+      };
+      let stopLoading = () => {};
+
+      if (!Sticky.isFeatureSupported() || options.hybrid) {
+         StyleSheets
+            .findStickyElements()
+            .filter(element => !store.getData(element) && !isManagedNode(element))
+            .forEach(element => polyfill.stickies.push(polyfill.createInstance(element, '[style]')));
+         stopLoading = StyleSheets.findStickyRules(rules => {
+            rules.forEach(rule => applyStickyRule(rule, polyfill));
+         });
+      }
+
+      return {
+         instances: polyfill.stickies,
+         disconnect() {
+            stopLoading();
+            polyfill.listeners.splice(0).forEach(removeListener => removeListener());
+         }
+      };
+   }
+
+   /**
+    * Returns the Sticky object initialized for an element, if any;
+    * <code>null</code> otherwise
+    *
+    * @param {HTMLElement} element The element whose Sticky object is returned
+    *
+    * @return {Sticky|null}
+    */
+   static getInstance(element) {
+      return instances.filter(instance => instance.element === element)[0] || null;
+   }
+
+   /**
+    * Returns all the Sticky objects initialized, sorted by the position
+    * of their elements in the document
+    *
+    * @return {Sticky[]}
+    */
+   static getAll() {
+      return instances.slice();
+   }
+
+   /**
+    * Returns the parts of the visible area of a scrolling container obscured by the sticking
+    * elements having the <code>scrollPadding</code> option enabled, as an object having
+    * a <code>top</code> and a <code>bottom</code> property
+    *
+    * @param {HTMLElement|Window} [container=window] The scrolling container
+    *
+    * @return {Object}
+    */
+   static getObscuredInsets(container = window) {
+      return calculateObscuredInsets(container);
+   }
+
+   /**
+    * Enables or disables the debug mode for all the Sticky objects, in addition to the ones
+    * having the <code>debug</code> option enabled. Called without arguments, it toggles the mode.
+    *
+    * @param {boolean} [isEnabled] Whether the debug mode is enabled
+    *
+    * @return {boolean} Whether the debug mode is enabled after the call
+    */
+   static debug(isEnabled = !isDebugEnabled) {
+      isDebugEnabled = !!isEnabled;
+      instances.forEach(instance => {
+         const data = store.getData(instance.element);
+
+         if (!isDebugged(instance)) {
+            removeDebugOverlay(data);
+         }
+      });
+      scheduler.schedule();
+
+      return isDebugEnabled;
+   }
+
+   /**
+    * Recalculates the position of all the Sticky objects initialized
+    */
+   static refreshAll() {
+      Sticky.getAll().forEach(sticky => sticky.refresh());
+   }
+
+   /**
+    * Destroys all the Sticky objects initialized
+    */
+   static destroyAll() {
+      Sticky.getAll().forEach(sticky => sticky.destroy());
+   }
+
+   /**
+    * Initializes the library
+    */
+   init() {
+      if (store.getData(this.element)) {
+         throw new Error('This element has already been initialized');
+      }
+
+      const task = createTask(this);
+
+      store.setData(this.element, {
+         placeholder: createPlaceholder(this),
+         container: getScrollContainer(this),
+         task: task,
+         position: this.element.style.position,
+         inlineStyle: {},
+         zIndex: getZIndex(this.element, this.settings.selector),
+         isStuck: false,
+         startRect: null,
+         strategy: null,
+         translation: null,
+         state: 'normal',
+         progress: null,
+         metrics: null,
+         positions: null,
+         scrollPosition: null,
+         isPinned: true,
+         scrolledDistance: 0,
+         context: null,
+         measurement: null,
+         watcher: null,
+         unwatchMedia: null,
+         debugOverlay: null,
+         intersectionObserver: null,
+         intersection: null,
+         isEnabled: true,
+         isMatching: true
+      });
+
+      Style.copyStyleProperties(store.getData(this.element, 'inlineStyle'), this.element.style, stickingProperties);
+      addInstance(this);
+      updateInsetsListeners();
+      store.getData(this.element).watcher = watchSize(this);
+      store.getData(this.element).unwatchMedia = watchMedia(this);
+
+      if (!store.getData(this.element, 'isMatching')) {
+         return;
+      }
+
+      // Schedule an update to position the element if it
+      // should stick when the page is loaded
+      scheduler
+         .add(task)
+         .schedule();
+   }
+
+   /**
+    * Removes the effects of the library and clean up all the resources
+    */
+   destroy() {
+      scheduler.remove(store.getData(this.element, 'task'));
+      store.getData(this.element, 'watcher').disconnect();
+      store.getData(this.element, 'unwatchMedia')();
+      removeInstance(this);
+      cleanUp(this);
+      updateClasses(this, 'normal');
+      removeDebugOverlay(store.getData(this.element));
+
+      if (this.settings.progressProperty) {
+         this.element.style.removeProperty(this.settings.progressProperty);
+      }
+
+      if (this.settings.scrollPadding) {
+         updateObscuredInsets(store.getData(this.element, 'container'));
+         updateInsetsListeners();
+      }
+
+      store.removeData(this.element);
+   }
+
+   /**
+    * Recalculates the position of the element, for example after a change
+    * of the layout of the page, without destroying and initializing it again
+    */
+   refresh() {
+      assertInitialized(this);
+      refresh(this);
+   }
+
+   /**
+    * Makes the element stop sticking and pauses the library,
+    * preserving the setup so that it can be enabled again
+    */
+   disable() {
+      assertInitialized(this);
+
+      const data = store.getData(this.element);
+
+      if (!data.isEnabled) {
+         return;
+      }
+
+      const wasActive = isActive(data);
+
+      data.isEnabled = false;
+
+      if (wasActive) {
+         pause(this);
+      }
+   }
+
+   /**
+    * Resumes the library after it has been disabled
+    */
+   enable() {
+      assertInitialized(this);
+
+      const data = store.getData(this.element);
+
+      if (data.isEnabled) {
+         return;
+      }
+
+      data.isEnabled = true;
+
+      if (isActive(data)) {
+         resume(this);
+      }
    }
 }
\ No newline at end of file
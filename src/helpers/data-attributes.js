@@ -0,0 +1,120 @@
+/**
+ * The parsers of the values of the attributes, for each type supported.
+ * Each parser returns <code>undefined</code> if the value isn't valid.
+ *
+ * @type {Object}
+ */
+const parsers = {
+   string(value) {
+      return value;
+   },
+   number(value) {
+      return /^\s*-?(\d+|\d*\.\d+)(px)?\s*$/.test(value) ? parseFloat(value) : undefined;
+   },
+   boolean(value) {
+      if (value === '' || value === 'true') {
+         return true;
+      }
+
+      return value === 'false' ? false : undefined;
+   },
+   selector(value) {
+      try {
+         document.querySelector(value);
+      } catch(ex) {
+         return undefined;
+      }
+
+      return value;
+   },
+   media(value) {
+      // Browsers replace the media queries they can't parse with "not all"
+      const isInvalid = !!window.matchMedia &&
+         window.matchMedia(value).media === 'not all' &&
+         value.trim() !== 'not all';
+
+      return isInvalid ? undefined : value;
+   }
+};
+
+/**
+ * The description of the values expected for each type supported
+ *
+ * @type {Object}
+ */
+const descriptions = {
+   string: 'string',
+   number: 'number',
+   boolean: 'boolean ("true" or "false")',
+   selector: 'CSS selector',
+   media: 'media query'
+};
+
+/**
+ * The class representing an object to read settings from the data attributes of an element
+ *
+ * @class
+ */
+export
+ default class DataAttributes {
+   /**
+    * Reads the settings specified in the attributes of an element. The name of each
+    * attribute is made of the prefix followed by the name of the setting, converted from
+    * camel case, for example <code>data-sticky-active-class</code>.
+    * The values that aren't valid are ignored and a warning is logged.
+    *
+    * @param {HTMLElement} element The element whose attributes are read
+    * @param {string} prefix The prefix of the names of the attributes
+    * @param {Object} types The settings to read, each associated with the type of its value
+    * (<code>string</code>, <code>number</code>, <code>boolean</code>, <code>selector</code>,
+    * or <code>media</code>)
+    *
+    * @return {Object}
+    */
+   static read(element, prefix, types) {
+      const settings = {};
+
+      Object.keys(types).forEach(name => {
+         const attributeName = prefix + DataAttributes.toAttributeName(name);
+
+         if (!element.hasAttribute(attributeName)) {
+            return;
+         }
+
+         const value = element.getAttribute(attributeName);
+         const parsedValue = parsers[types[name]](value);
+
+         if (parsedValue === undefined) {
+            DataAttributes.warn(`The value "${value}" of the ${attributeName} attribute isn't a valid ` +
+               `${descriptions[types[name]]}, so it's ignored`);
+         } else {
+            settings[name] = parsedValue;
+         }
+      });
+
+      return settings;
+   }
+
+   /**
+    * Converts a name written in camel case to the one of an attribute,
+    * for example <code>activeClass</code> to <code>active-class</code>
+    *
+    * @param {string} name The name to convert
+    *
+    * @return {string}
+    */
+   static toAttributeName(name) {
+      return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+   }
+
+   /**
+    * Logs a warning in the console, if available
+    *
+    * @param {string} message The message to log
+    */
+   static warn(message) {
+      if (window.console && window.console.warn) {
+         window.console.warn(`Audero Sticky: ${message}`);
+      }
+   }
+}
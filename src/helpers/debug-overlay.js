@@ -0,0 +1,160 @@
+/**
+ * The style of the element containing all the parts of the overlay
+ *
+ * @type {Object}
+ */
+const containerStyle = {
+   position: 'fixed',
+   top: '0',
+   left: '0',
+   width: '0',
+   height: '0',
+   overflow: 'visible',
+   pointerEvents: 'none',
+   zIndex: '2147483647'
+};
+
+/**
+ * The style of each kind of part of the overlay
+ *
+ * @type {Object}
+ */
+const partStyles = {
+   start: {
+      background: 'rgba(46, 160, 67, 0.9)'
+   },
+   end: {
+      background: 'rgba(218, 54, 51, 0.9)'
+   },
+   boundary: {
+      border: '2px dashed rgba(31, 111, 235, 0.9)'
+   },
+   placeholder: {
+      border: '2px dotted rgba(219, 109, 40, 0.9)'
+   },
+   label: {
+      padding: '2px 4px',
+      background: 'rgba(0, 0, 0, 0.75)',
+      color: '#fff',
+      font: '11px/1.4 monospace',
+      whiteSpace: 'nowrap'
+   }
+};
+
+/**
+ * Creates an element of the overlay
+ *
+ * @param {Object} style The style of the element
+ *
+ * @return {HTMLElement}
+ */
+function createPart(style) {
+   const part = document.createElement('div');
+
+   Object.assign(part.style, {
+      position: 'absolute',
+      boxSizing: 'border-box'
+   }, style);
+
+   return part;
+}
+
+/**
+ * Moves an element of the overlay to the rectangle provided,
+ * or hides it if no rectangle is provided
+ *
+ * @param {HTMLElement} part The element of the overlay
+ * @param {Object} [rect] The position and the size of the element, relative to the window
+ */
+function placePart(part, rect) {
+   part.style.display = rect ? 'block' : 'none';
+
+   if (rect) {
+      part.style.top = `${rect.top}px`;
+      part.style.left = `${rect.left}px`;
+      part.style.width = typeof rect.width === 'number' ? `${rect.width}px` : '';
+      part.style.height = typeof rect.height === 'number' ? `${rect.height}px` : '';
+   }
+}
+
+/**
+ * The class representing an overlay drawing the lines at which an element starts
+ * and ends sticking, the box of its boundary, the outline of its placeholder,
+ * and a label describing its state
+ *
+ * @class
+ */
+export
+ default class DebugOverlay {
+   /**
+    * Creates a new DebugOverlay object and adds it to the page
+    *
+    * @constructor
+    */
+   constructor() {
+      this.element = createPart(containerStyle);
+      this.element.setAttribute('aria-hidden', 'true');
+      this.lines = [];
+      this.boundary = createPart(partStyles.boundary);
+      this.placeholder = createPart(partStyles.placeholder);
+      this.label = createPart(partStyles.label);
+      this.element.appendChild(this.boundary);
+      this.element.appendChild(this.placeholder);
+      this.element.appendChild(this.label);
+      document.body.appendChild(this.element);
+   }
+
+   /**
+    * Draws the overlay. Each line specifies its kind, <code>start</code> or <code>end</code>,
+    * and its position and size. All the positions are relative to the window.
+    *
+    * @param {Object} parts The parts to draw
+    * @param {Object[]} parts.lines The lines at which the element starts and ends sticking
+    * @param {Object} parts.boundary The rectangle of the boundary
+    * @param {Object|null} parts.placeholder The rectangle of the placeholder, if displayed
+    * @param {Object} parts.label The text of the label and the position where it's displayed
+    *
+    * @return {DebugOverlay}
+    */
+   draw(parts) {
+      while(this.lines.length < parts.lines.length) {
+         this.lines.push(this.element.appendChild(createPart({})));
+      }
+
+      this.lines.forEach((line, index) => {
+         const description = parts.lines[index];
+
+         if (description) {
+            Object.assign(line.style, partStyles[description.kind]);
+         }
+
+         placePart(line, description);
+      });
+      placePart(this.boundary, parts.boundary);
+      placePart(this.placeholder, parts.placeholder);
+      placePart(this.label, parts.label);
+      this.label.textContent = parts.label.text;
+
+      return this;
+   }
+
+   /**
+    * Tests if a node is part of the overlay
+    *
+    * @param {Node} node The node to test
+    *
+    * @return {boolean}
+    */
+   contains(node) {
+      return this.element === node || this.element.contains(node);
+   }
+
+   /**
+    * Removes the overlay from the page
+    */
+   remove() {
+      if (this.element.parentNode) {
+         this.element.parentNode.removeChild(this.element);
+      }
+   }
+}
@@ -0,0 +1,177 @@
+/**
+ * The interval, in milliseconds, between two checks of the sizes
+ * of the elements in browsers not supporting any observer
+ *
+ * @type {number}
+ */
+const pollingInterval = 250;
+
+/**
+ * The settings to use when observing the mutations of an element
+ *
+ * @type {Object}
+ */
+const mutationOptions = {
+   attributes: true,
+   characterData: true,
+   childList: true,
+   subtree: true
+};
+
+/**
+ * The class representing an object that watches a set of elements and calls
+ * a function when the size of any of them might have changed.
+ *
+ * It uses a <code>ResizeObserver</code> if supported. Otherwise, it falls back to
+ * a <code>MutationObserver</code> and, as a last resort, to polling the sizes.
+ *
+ * @class
+ */
+export
+ default class ResizeWatcher {
+   /**
+    * Creates a new ResizeWatcher object
+    *
+    * @param {Function} callback The function to call when a size might have changed
+    * @param {Function} [isIgnoredNode] A function testing if the mutations of a node
+    * must be ignored. Used only when falling back to a <code>MutationObserver</code>.
+    *
+    * @constructor
+    */
+   constructor(callback, isIgnoredNode = () => false) {
+      this.callback = callback;
+      this.isIgnoredNode = isIgnoredNode;
+      this.elements = [];
+      this.sizes = [];
+      this.observer = null;
+      this.timer = null;
+   }
+
+   /**
+    * Starts watching an element
+    *
+    * @param {HTMLElement} element The element to watch
+    *
+    * @return {ResizeWatcher}
+    */
+   observe(element) {
+      if (this.elements.indexOf(element) !== -1) {
+         return this;
+      }
+
+      this.elements.push(element);
+      this.startObserving(element);
+
+      return this;
+   }
+
+   /**
+    * Starts observing an element using the best strategy
+    * supported by the browser
+    *
+    * @param {HTMLElement} element The element to observe
+    */
+   startObserving(element) {
+      if (window.ResizeObserver) {
+         this.observer = this.observer || new window.ResizeObserver(entries => this.onResize(entries));
+         this.observer.observe(element);
+      } else if (window.MutationObserver) {
+         this.observer = this.observer || new window.MutationObserver(records => this.onMutation(records));
+         this.observer.observe(element, mutationOptions);
+      } else if (this.timer === null) {
+         this.timer = window.setInterval(() => this.poll(), pollingInterval);
+      }
+   }
+
+   /**
+    * Stops watching all the elements
+    *
+    * @return {ResizeWatcher}
+    */
+   disconnect() {
+      if (this.observer) {
+         this.observer.disconnect();
+         this.observer = null;
+      }
+
+      if (this.timer !== null) {
+         window.clearInterval(this.timer);
+         this.timer = null;
+      }
+
+      this.elements = [];
+      this.sizes = [];
+
+      return this;
+   }
+
+   /**
+    * Records the size of an element, and tests if it's changed since
+    * the last time it was recorded. The first size recorded
+    * isn't considered a change.
+    *
+    * @param {HTMLElement} element The element whose size is recorded
+    * @param {Object} size The width and the height of the element
+    *
+    * @return {boolean}
+    */
+   update(element, size) {
+      const index = this.elements.indexOf(element);
+      const previousSize = this.sizes[index];
+
+      this.sizes[index] = size;
+
+      return !!previousSize && (previousSize.width !== size.width || previousSize.height !== size.height);
+   }
+
+   /**
+    * Handles the entries notified by the <code>ResizeObserver</code>
+    *
+    * @param {ResizeObserverEntry[]} entries The entries notified
+    */
+   onResize(entries) {
+      const isChanged = entries
+         .map(entry => this.update(entry.target, entry.contentRect))
+         .some(isElementChanged => isElementChanged);
+
+      if (isChanged) {
+         this.callback();
+      }
+   }
+
+   /**
+    * Handles the records notified by the <code>MutationObserver</code>.
+    * The mutations that involve only ignored nodes are discarded.
+    *
+    * @param {MutationRecord[]} records The records notified
+    */
+   onMutation(records) {
+      const isRelevant = record => {
+         const nodes = [].slice.call(record.addedNodes || []).concat([].slice.call(record.removedNodes || []));
+
+         return record.type === 'childList' ?
+            !nodes.every(this.isIgnoredNode) :
+            !this.isIgnoredNode(record.target);
+      };
+
+      if (records.some(isRelevant)) {
+         this.callback();
+      }
+   }
+
+   /**
+    * Checks the sizes of the elements watched
+    */
+   poll() {
+      const isChanged = this.elements
+         .map(element => this.update(element, {
+            width: element.offsetWidth,
+            height: element.offsetHeight
+         }))
+         .some(isElementChanged => isElementChanged);
+
+      if (isChanged) {
+         this.callback();
+      }
+   }
+}
@@ -0,0 +1,202 @@
+/**
+ * Tests if passive event listeners are supported
+ *
+ * @return {boolean}
+ */
+function isPassiveEventListenerSupported() {
+   let isSupported = false;
+
+   try {
+      const options = Object.defineProperty({}, 'passive', {
+         get() {
+            isSupported = true;
+         }
+      });
+
+      window.addEventListener('', null, options);
+   } catch(ex) {}
+
+   return isSupported;
+}
+
+/**
+ * Returns the settings to use when adding the event handler for the scroll event.
+ * The handler is added in the capture phase so that the scroll of any
+ * element of the page, and not only the window, is intercepted.
+ *
+ * @return {Object|boolean}
+ */
+function getScrollOptions() {
+   return isPassiveEventListenerSupported() ?
+      {
+         capture: true,
+         passive: true
+      } :
+      true;
+}
+
+/**
+ * Requests a function to be executed before the next repaint,
+ * falling back to a timer in browsers not supporting
+ * <code>requestAnimationFrame()</code>
+ *
+ * @param {Function} callback The function to execute
+ *
+ * @return {number}
+ */
+function requestFrame(callback) {
+   return window.requestAnimationFrame ?
+      window.requestAnimationFrame(callback) :
+      window.setTimeout(callback, 16);
+}
+
+/**
+ * The class representing an object that executes a set of tasks at most once
+ * per animation frame, in response to the scroll and the resize of the page.
+ *
+ * Each task is an object exposing the following methods:
+ * - <code>reset()</code>: called, before any other method, when the window has been resized
+ * or when the reset of the task has been requested
+ * - <code>read(context)</code>: called to perform all the layout reads. Its returned value
+ * is passed to <code>write()</code>. The context is an object shared by all the tasks
+ * during a single execution.
+ * - <code>write(result)</code>: called, once all the tasks have completed their reads,
+ * to perform all the style writes
+ *
+ * @class
+ */
+export
+ default class Scheduler {
+   /**
+    * Creates a new Scheduler object
+    *
+    * @constructor
+    */
+   constructor() {
+      this.tasks = [];
+      this.frame = null;
+      this.isResized = false;
+      this.resettingTasks = [];
+      this.scrollOptions = null;
+      this.handlers = {
+         schedule: () => this.schedule(),
+         resize: () => {
+            this.isResized = true;
+            this.schedule();
+         }
+      };
+   }
+
+   /**
+    * Adds a task. The events of the page are listened to as soon as
+    * the first task is added.
+    *
+    * @param {Object} task The task to add
+    *
+    * @return {Scheduler}
+    */
+   add(task) {
+      if (this.tasks.indexOf(task) !== -1) {
+         return this;
+      }
+
+      this.tasks.push(task);
+
+      if (this.tasks.length === 1) {
+         this.bindEvents();
+      }
+
+      return this;
+   }
+
+   /**
+    * Removes a task. The events of the page aren't listened to anymore
+    * once the last task is removed.
+    *
+    * @param {Object} task The task to remove
+    *
+    * @return {Scheduler}
+    */
+   remove(task) {
+      const index = this.tasks.indexOf(task);
+
+      if (index === -1) {
+         return this;
+      }
+
+      this.tasks.splice(index, 1);
+      this.resettingTasks = this.resettingTasks.filter(resettingTask => resettingTask !== task);
+
+      if (this.tasks.length === 0) {
+         this.unbindEvents();
+      }
+
+      return this;
+   }
+
+   /**
+    * Schedules the execution of the tasks for the next animation frame,
+    * unless it's already scheduled
+    *
+    * @return {Scheduler}
+    */
+   schedule() {
+      if (this.frame === null) {
+         this.frame = requestFrame(() => this.run());
+      }
+
+      return this;
+   }
+
+   /**
+    * Requests a task to be reset during the next execution
+    *
+    * @param {Object} task The task to reset
+    *
+    * @return {Scheduler}
+    */
+   reset(task) {
+      if (this.resettingTasks.indexOf(task) === -1) {
+         this.resettingTasks.push(task);
+      }
+
+      return this;
+   }
+
+   /**
+    * Executes the tasks, performing all the layout reads before any style write
+    */
+   run() {
+      const tasks = this.tasks.slice();
+      const resettingTasks = this.isResized ? tasks : this.resettingTasks;
+      const context = {};
+
+      this.frame = null;
+      this.isResized = false;
+      this.resettingTasks = [];
+      resettingTasks.forEach(task => task.reset());
+
+      const results = tasks.map(task => task.read(context));
+
+      tasks.forEach((task, index) => task.write(results[index]));
+   }
+
+   /**
+    * Binds the events of the page that trigger the execution of the tasks
+    */
+   bindEvents() {
+      this.scrollOptions = getScrollOptions();
+      window.addEventListener('load', this.handlers.schedule);
+      window.addEventListener('scroll', this.handlers.schedule, this.scrollOptions);
+      window.addEventListener('resize', this.handlers.resize);
+   }
+
+   /**
+    * Unbinds the events of the page that trigger the execution of the tasks
+    */
+   unbindEvents() {
+      window.removeEventListener('load', this.handlers.schedule);
+      window.removeEventListener('scroll', this.handlers.schedule, this.scrollOptions);
+      window.removeEventListener('resize', this.handlers.resize);
+   }
+}
@@ -0,0 +1,23 @@
+/**
+ * The class representing an object to compare the settings of the Sticky objects
+ *
+ * @class
+ */
+export
+ default class Settings {
+   /**
+    * Tests if two objects specify the same settings. The values are compared with the strict
+    * equality, so functions and objects are considered equal only if they're the same.
+    *
+    * @param {Object} [settings] The first object
+    * @param {Object} [otherSettings] The second object
+    *
+    * @return {boolean}
+    */
+   static areEqual(settings = {}, otherSettings = {}) {
+      const names = Object.keys(settings);
+
+      return names.length === Object.keys(otherSettings).length &&
+         names.every(name => otherSettings.hasOwnProperty(name) && settings[name] === otherSettings[name]);
+   }
+}
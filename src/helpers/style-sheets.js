@@ -0,0 +1,314 @@
+/**
+ * The regular expression used to test if a value of the <code>position</code>
+ * property is <code>sticky</code> or one of its vendor-prefixed versions
+ *
+ * @type {RegExp}
+ */
+const stickyPosition = /^(-[a-z]+-)?sticky$/i;
+
+/**
+ * The at-rules whose content is made of rules to apply
+ * under some conditions
+ *
+ * @type {string[]}
+ */
+const groupingAtRules = [
+   'media',
+   'supports'
+];
+
+/**
+ * The changes of depth caused by the braces opening and closing a block
+ *
+ * @type {Object}
+ */
+const braces = {
+   '{': 1,
+   '}': -1
+};
+
+/**
+ * Returns the index of the quote closing the string that starts at the index provided
+ *
+ * @param {string} cssText The CSS code to search
+ * @param {number} start The index of the opening quote
+ *
+ * @return {number}
+ */
+function findClosingQuote(cssText, start) {
+   const quote = cssText.charAt(start);
+   let index = start + 1;
+
+   while(index < cssText.length && cssText.charAt(index) !== quote) {
+      // Skip the character escaped, if any
+      index += cssText.charAt(index) === '\\' ? 2 : 1;
+   }
+
+   return index;
+}
+
+/**
+ * Returns the index of the brace closing the block that starts at the index provided.
+ * The braces inside strings, for example in the value of the <code>content</code>
+ * property, are ignored.
+ *
+ * @param {string} cssText The CSS code to search
+ * @param {number} start The index of the opening brace
+ *
+ * @return {number}
+ */
+function findClosingBrace(cssText, start) {
+   let depth = 0;
+
+   for(let index = start; index < cssText.length; index++) {
+      const character = cssText.charAt(index);
+
+      if (/["']/.test(character)) {
+         index = findClosingQuote(cssText, index);
+      }
+
+      depth += braces[character] || 0;
+
+      if (depth === 0) {
+         return index;
+      }
+   }
+
+   return cssText.length;
+}
+
+/**
+ * Parses the declarations of a rule
+ *
+ * @param {string} cssText The declarations of the rule
+ *
+ * @return {Object}
+ */
+function parseDeclarations(cssText) {
+   const declarations = {};
+
+   cssText.split(';').forEach(declaration => {
+      const separatorIndex = declaration.indexOf(':');
+
+      if (separatorIndex !== -1) {
+         const name = declaration.slice(0, separatorIndex).trim().toLowerCase();
+
+         declarations[name] = declaration.slice(separatorIndex + 1).replace(/!important/i, '').trim();
+      }
+   });
+
+   return declarations;
+}
+
+/**
+ * Combines two media queries, keeping the media type, if any, at the beginning
+ *
+ * @param {string} query The media query of the containing block
+ * @param {string} innerQuery The media query of the block
+ *
+ * @return {string}
+ */
+function combineQueries(query, innerQuery) {
+   return query.charAt(0) === '(' && innerQuery.charAt(0) !== '(' ?
+      `${innerQuery} and ${query}` :
+      `${query} and ${innerQuery}`;
+}
+
+/**
+ * Combines the list of media queries of a block with the one of the block containing it.
+ * Each query of a list applies independently, so each query of the block is combined
+ * with each query of the containing block.
+ *
+ * @param {string} media The list of media queries of the containing block
+ * @param {string} innerMedia The list of media queries of the block
+ *
+ * @return {string}
+ */
+function combineMedia(media, innerMedia) {
+   const queries = media.split(',').map(query => query.trim());
+   const innerQueries = innerMedia.split(',').map(query => query.trim());
+
+   if (!media) {
+      return innerQueries.join(', ');
+   }
+
+   return queries
+      .map(query => innerQueries.map(innerQuery => combineQueries(query, innerQuery)).join(', '))
+      .join(', ');
+}
+
+/**
+ * Tests if the condition of a <code>@supports</code> rule is met. Browsers
+ * not supporting <code>CSS.supports()</code> don't support the rule either,
+ * so its content doesn't apply.
+ *
+ * @param {string} condition The condition to test
+ *
+ * @return {boolean}
+ */
+function isConditionMet(condition) {
+   const css = typeof window === 'undefined' ? null : window.CSS;
+
+   return !!css && !!css.supports && css.supports(condition);
+}
+
+/**
+ * Loads the content of an external style sheet. Style sheets that can't be
+ * loaded, for example because served from another origin, are ignored.
+ *
+ * @param {string} url The URL of the style sheet
+ * @param {Function} callback The function to call with the content of the style sheet
+ *
+ * @return {XMLHttpRequest}
+ */
+function loadStyleSheet(url, callback) {
+   const request = new XMLHttpRequest();
+
+   request.onreadystatechange = () => {
+      if (request.readyState === 4 && request.status >= 200 && request.status < 300) {
+         callback(request.responseText);
+      }
+   };
+
+   try {
+      request.open('GET', url, true);
+      request.send();
+   } catch(ex) {}
+
+   return request;
+}
+
+/**
+ * The class representing an object to read the style sheets of a page.
+ *
+ * Browsers not supporting a value of a property discard it when parsing a style sheet,
+ * so the original CSS code is read and parsed to find those values.
+ *
+ * @class
+ */
+export
+ default class StyleSheets {
+   /**
+    * Parses CSS code and returns its rules. Each rule specifies its selector,
+    * its declarations, and the media query under which it applies,
+    * an empty string if it applies unconditionally.
+    *
+    * @param {string} cssText The CSS code to parse
+    * @param {string} [media=''] The media query under which the code applies
+    *
+    * @return {Object[]}
+    */
+   static parse(cssText, media = '') {
+      const code = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+      let rules = [];
+      let index = 0;
+      let start = code.indexOf('{');
+
+      while(start !== -1) {
+         const end = findClosingBrace(code, start);
+
+         // Statements such as @charset and @import end with a semicolon
+         // and can precede the selector of a rule
+         const prelude = code.slice(index, start).split(';').pop().trim();
+         const content = code.slice(start + 1, end);
+
+         rules = rules.concat(StyleSheets.parseBlock(prelude, content, media));
+         index = end + 1;
+         start = code.indexOf('{', index);
+      }
+
+      return rules;
+   }
+
+   /**
+    * Parses a block of CSS code and returns its rules
+    *
+    * @param {string} prelude The selector or the at-rule preceding the block
+    * @param {string} content The content of the block
+    * @param {string} media The media query under which the block applies
+    *
+    * @return {Object[]}
+    */
+   static parseBlock(prelude, content, media) {
+      if (prelude.charAt(0) !== '@') {
+         return [
+            {
+               selector: prelude,
+               media: media,
+               declarations: parseDeclarations(content)
+            }
+         ];
+      }
+
+      const atRule = prelude.match(/^@([a-z-]+)\s*([\s\S]*)$/i);
+      const name = atRule[1].toLowerCase();
+
+      if (groupingAtRules.indexOf(name) === -1 || name === 'supports' && !isConditionMet(atRule[2])) {
+         return [];
+      }
+
+      return StyleSheets.parse(content, name === 'media' ? combineMedia(media, atRule[2]) : media);
+   }
+
+   /**
+    * Returns the rules, among the ones provided, that declare
+    * a sticky position
+    *
+    * @param {Object[]} rules The rules to filter
+    *
+    * @return {Object[]}
+    */
+   static filterStickyRules(rules) {
+      return rules.filter(rule => stickyPosition.test(rule.declarations.position || ''));
+   }
+
+   /**
+    * Returns the elements of the page declaring a sticky position
+    * in their <code>style</code> attribute
+    *
+    * @return {HTMLElement[]}
+    */
+   static findStickyElements() {
+      return [].filter.call(
+         document.querySelectorAll('[style]'),
+         element => stickyPosition.test(parseDeclarations(element.getAttribute('style')).position || '')
+      );
+   }
+
+   /**
+    * Reads the rules declaring a sticky position in all the style sheets of the page.
+    * The rules of the style sheets embedded in the page are provided synchronously,
+    * while the ones of external style sheets are provided once loaded.
+    *
+    * @param {Function} callback The function to call with the rules of each style sheet
+    *
+    * @return {Function} A function to stop loading the external style sheets
+    */
+   static findStickyRules(callback) {
+      const requests = [].map.call(
+         document.querySelectorAll('style, link[rel~="stylesheet"]'),
+         element => {
+            const media = element.getAttribute('media') || '';
+            const onLoad = cssText => {
+               const rules = StyleSheets.parse(cssText, media === 'all' ? '' : media);
+
+               callback(StyleSheets.filterStickyRules(rules));
+            };
+
+            if (element.nodeName.toLowerCase() === 'link') {
+               return loadStyleSheet(element.href, onLoad);
+            }
+
+            onLoad(element.textContent);
+
+            return null;
+         }
+      );
+
+      return () => {
+         requests
+            .filter(request => request)
+            .forEach(request => request.abort());
+      };
+   }
+}
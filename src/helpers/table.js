@@ -0,0 +1,157 @@
+/**
+ * The names of the elements representing the cells of a table
+ *
+ * @type {string[]}
+ */
+const cellNames = [
+   'TH',
+   'TD'
+];
+
+/**
+ * The names of the elements representing a row or a group of rows of a table
+ *
+ * @type {string[]}
+ */
+const rowNames = [
+   'THEAD',
+   'TBODY',
+   'TFOOT',
+   'TR'
+];
+
+/**
+ * The properties set on a cell to keep its width
+ *
+ * @type {string[]}
+ */
+const widthProperties = [
+   'boxSizing',
+   'width',
+   'minWidth',
+   'maxWidth'
+];
+
+/**
+ * The class representing an object to manage the parts of a table
+ *
+ * @class
+ */
+export
+ default class Table {
+   /**
+    * Tests if an element is a cell of a table
+    *
+    * @param {HTMLElement} element The element to test
+    *
+    * @return {boolean}
+    */
+   static isCell(element) {
+      return cellNames.indexOf(element.nodeName.toUpperCase()) !== -1;
+   }
+
+   /**
+    * Tests if an element is a row or a group of rows of a table
+    *
+    * @param {HTMLElement} element The element to test
+    *
+    * @return {boolean}
+    */
+   static isRow(element) {
+      return rowNames.indexOf(element.nodeName.toUpperCase()) !== -1;
+   }
+
+   /**
+    * Returns the cells of a row or of a group of rows
+    *
+    * @param {HTMLElement} element The row or the group of rows
+    *
+    * @return {HTMLElement[]}
+    */
+   static getCells(element) {
+      return [].slice.call(element.querySelectorAll('th, td'));
+   }
+
+   /**
+    * Returns the widths of the cells of a row or of a group of rows
+    *
+    * @param {HTMLElement} element The row or the group of rows
+    *
+    * @return {number[]}
+    */
+   static measureCellWidths(element) {
+      return Table.getCells(element).map(cell => cell.getBoundingClientRect().width);
+   }
+
+   /**
+    * Sets the widths of the cells of a row or of a group of rows, so that they keep
+    * the widths of the columns once detached from the layout of the table
+    *
+    * @param {HTMLElement} element The row or the group of rows
+    * @param {number[]} widths The widths of the cells
+    */
+   static setCellWidths(element, widths) {
+      Table.getCells(element).forEach((cell, index) => {
+         const width = `${widths[index]}px`;
+
+         cell.style.boxSizing = 'border-box';
+         cell.style.width = width;
+         cell.style.minWidth = width;
+         cell.style.maxWidth = width;
+      });
+   }
+
+   /**
+    * Removes the widths set on the cells of a row or of a group of rows
+    *
+    * @param {HTMLElement} element The row or the group of rows
+    */
+   static resetCellWidths(element) {
+      Table.getCells(element).forEach(cell => {
+         widthProperties.forEach(property => {
+            cell.style[property] = '';
+         });
+      });
+   }
+
+   /**
+    * Creates a hidden element of the same type as a row or a group of rows, which keeps
+    * the widths of the columns of the table when the original is detached from its layout.
+    * Its content is copied with <code>copyContent()</code> each time it's needed.
+    *
+    * @param {HTMLElement} element The row or the group of rows
+    *
+    * @return {HTMLElement}
+    */
+   static createPlaceholder(element) {
+      const placeholder = element.cloneNode(false);
+
+      placeholder.removeAttribute('id');
+      placeholder.removeAttribute('style');
+      placeholder.setAttribute('aria-hidden', 'true');
+      placeholder.style.visibility = 'hidden';
+
+      return placeholder;
+   }
+
+   /**
+    * Replaces the content of the placeholder of a row or of a group of rows
+    * with a copy of the current content of the latter
+    *
+    * @param {HTMLElement} element The row or the group of rows
+    * @param {HTMLElement} placeholder The placeholder of the element
+    */
+   static copyContent(element, placeholder) {
+      const copy = element.cloneNode(true);
+
+      [].forEach.call(copy.querySelectorAll('[id]'), node => node.removeAttribute('id'));
+
+      while(placeholder.firstChild) {
+         placeholder.removeChild(placeholder.firstChild);
+      }
+
+      while(copy.firstChild) {
+         placeholder.appendChild(copy.firstChild);
+      }
+   }
+}
@@ -0,0 +1,124 @@
+/**
+ * The regular expression used to test if the overflow of an element
+ * allows its content to be scrolled
+ *
+ * @type {RegExp}
+ */
+const scrollableOverflow = /(auto|scroll|overlay)/;
+
+/**
+ * The class representing an object to query the viewport of a scrolling container,
+ * that is the window or an element whose content can be scrolled
+ *
+ * @class
+ */
+export
+ default class Viewport {
+   /**
+    * Tests if the content of an element can be scrolled
+    *
+    * @param {HTMLElement} element The element to test
+    *
+    * @return {boolean}
+    */
+   static isScrollable(element) {
+      const style = window.getComputedStyle(element);
+
+      return scrollableOverflow.test(style.overflow + style.overflowX + style.overflowY);
+   }
+
+   /**
+    * Returns the nearest ancestor of an element whose content can be scrolled.
+    * If none is found, the window is returned.
+    *
+    * @param {HTMLElement} element The element whose scrolling ancestor is returned
+    *
+    * @return {HTMLElement|Window}
+    */
+   static getScrollParent(element) {
+      let parent = element.parentNode;
+
+      while(parent && parent !== document.body && parent !== document.documentElement && parent.nodeType === 1) {
+         if (Viewport.isScrollable(parent)) {
+            return parent;
+         }
+
+         parent = parent.parentNode;
+      }
+
+      return window;
+   }
+
+   /**
+    * Returns the scroll position of a container
+    *
+    * @param {HTMLElement|Window} container The container whose scroll position is returned
+    *
+    * @return {Object}
+    */
+   static getScrollPosition(container) {
+      if (container === window) {
+         return {
+            top: window.pageYOffset,
+            left: window.pageXOffset
+         };
+      }
+
+      return {
+         top: container.scrollTop,
+         left: container.scrollLeft
+      };
+   }
+
+   /**
+    * Scrolls the content of a container vertically by the distance provided
+    *
+    * @param {HTMLElement|Window} container The container whose content is scrolled
+    * @param {number} distance The distance, in pixels
+    */
+   static scrollBy(container, distance) {
+      if (container === window) {
+         window.scrollBy(0, distance);
+      } else {
+         container.scrollTop += distance;
+      }
+   }
+
+   /**
+    * Returns the position, relative to the window, and the size of the visible area
+    * of a container. The borders and the scrollbars of an element are excluded.
+    *
+    * @param {HTMLElement|Window} container The container whose visible area is returned
+    *
+    * @return {Object}
+    */
+   static getRect(container) {
+      // The offsets of the fixed elements are relative to the
+      // visible area of the window without the scrollbars
+      if (container === window) {
+         const root = document.documentElement;
+
+         return {
+            top: 0,
+            right: root.clientWidth,
+            bottom: root.clientHeight,
+            left: 0,
+            width: root.clientWidth,
+            height: root.clientHeight
+         };
+      }
+
+      const rect = container.getBoundingClientRect();
+      const top = rect.top + container.clientTop;
+      const left = rect.left + container.clientLeft;
+
+      return {
+         top: top,
+         right: left + container.clientWidth,
+         bottom: top + container.clientHeight,
+         left: left,
+         width: container.clientWidth,
+         height: container.clientHeight
+      };
+   }
+}
@@ -0,0 +1,100 @@
+import {useEffect, useRef, useState} from 'react';
+import Settings from './helpers/settings';
+import Sticky from './audero-sticky';
+
+/**
+ * Creates and initializes a Sticky object for an element, destroying the one
+ * previously initialized for the same element, if any
+ *
+ * @param {HTMLElement} element The element that will stick
+ * @param {Object} options The options of the Sticky object
+ * @param {Function} onChange The function to call with the new state of the element
+ *
+ * @return {Object} The Sticky object and the function listening to its changes
+ */
+function mount(element, options, onChange) {
+   const previousSticky = Sticky.getInstance(element);
+   const listener = event => onChange(event.detail.state);
+   const sticky = new Sticky(element, options);
+
+   if (previousSticky) {
+      previousSticky.destroy();
+   }
+
+   element.addEventListener('stickychange', listener);
+   sticky.init();
+
+   return {
+      sticky,
+      listener
+   };
+}
+
+/**
+ * Destroys a Sticky object created by the hook, if it's still initialized
+ *
+ * @param {Object} [mounted] The Sticky object and the function listening to its changes
+ */
+function unmount(mounted) {
+   if (!mounted) {
+      return;
+   }
+
+   mounted.sticky.element.removeEventListener('stickychange', mounted.listener);
+
+   if (Sticky.getInstance(mounted.sticky.element) === mounted.sticky) {
+      mounted.sticky.destroy();
+   }
+}
+
+/**
+ * A React hook that makes the element referenced stick, and returns its current state:
+ * <code>normal</code>, <code>sticky</code>, or <code>constrained</code>.
+ *
+ * The Sticky object is created again when the referenced element or the options change,
+ * and it's destroyed when the component is unmounted. The options are compared
+ * property by property, so functions specified as options should be memoized.
+ *
+ * @param {Object} ref The ref of the element that will stick
+ * @param {SettingsHash} [options={}] The options of the Sticky object
+ *
+ * @return {string}
+ */
+function useSticky(ref, options = {}) {
+   const [state, setState] = useState('normal');
+   const mounted = useRef(null);
+   const mountedOptions = useRef(null);
+
+   useEffect(() => {
+      const element = ref.current;
+      const current = mounted.current;
+
+      if (
+         current && current.sticky.element === element &&
+         Settings.areEqual(mountedOptions.current, options)
+      ) {
+         return;
+      }
+
+      unmount(current);
+      mounted.current = null;
+      setState('normal');
+
+      if (element) {
+         mounted.current = mount(element, options, setState);
+         mountedOptions.current = options;
+      }
+   });
+
+   // The cleanup runs on unmount, and also between the two effects run by the strict mode,
+   // after which the effect above creates the Sticky object again
+   useEffect(() => () => {
+      unmount(mounted.current);
+      mounted.current = null;
+   }, []);
+
+   return state;
+}
+
+export
+ default useSticky;
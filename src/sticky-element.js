@@ -0,0 +1,157 @@
+import DataAttributes from './helpers/data-attributes';
+import Sticky from './audero-sticky';
+
+/**
+ * The name of the custom element
+ *
+ * @type {string}
+ */
+const tagName = 'sticky-element';
+
+/**
+ * The settings that can be specified as attributes of the custom element,
+ * with the types of their values
+ *
+ * @type {Object}
+ */
+const attributeTypes = {
+   activeClass: 'string',
+   constrainedClass: 'string',
+   offsetTop: 'number',
+   offsetBottom: 'number',
+   boundary: 'selector',
+   scrollContainer: 'selector',
+   media: 'media',
+   stack: 'boolean',
+   hybrid: 'boolean',
+   debug: 'boolean'
+};
+
+/**
+ * The events of the library that are dispatched again by the custom element
+ *
+ * @type {string[]}
+ */
+const forwardedEvents = [
+   'stickystart',
+   'stickyend'
+];
+
+/**
+ * Dispatches again an event of the library as a composed <code>CustomEvent</code>,
+ * so that it crosses the boundaries of the shadow trees. The original event
+ * is stopped, so that each change is notified once.
+ *
+ * @param {HTMLElement} element The custom element
+ * @param {Event} event The event of the library
+ */
+function forwardEvent(element, event) {
+   if (event.composed || event.target !== element) {
+      return;
+   }
+
+   event.stopImmediatePropagation();
+   element.dispatchEvent(new window.CustomEvent(event.type, {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      detail: {
+         sticky: element.sticky
+      }
+   }));
+}
+
+/**
+ * Creates a Sticky object for the custom element, using the settings
+ * specified as attributes
+ *
+ * @param {HTMLElement} element The custom element
+ */
+function createSticky(element) {
+   element.sticky = new Sticky(element, DataAttributes.read(element, '', attributeTypes));
+   element.sticky.init();
+}
+
+/**
+ * Destroys the Sticky object of the custom element, if any
+ *
+ * @param {HTMLElement} element The custom element
+ */
+function destroySticky(element) {
+   if (element.sticky) {
+      element.sticky.destroy();
+      element.sticky = null;
+   }
+}
+
+/**
+ * The constructor of the <code>sticky-element</code> custom element.
+ *
+ * A function calling <code>Reflect.construct()</code> is used instead of a class because
+ * the classes transpiled to ES5 can't extend <code>HTMLElement</code>.
+ *
+ * @return {HTMLElement}
+ *
+ * @constructor
+ */
+function StickyElement() {
+   const element = window.Reflect.construct(window.HTMLElement, [], StickyElement);
+
+   element.sticky = null;
+   forwardedEvents.forEach(eventName => {
+      element.addEventListener(eventName, event => forwardEvent(element, event));
+   });
+
+   return element;
+}
+
+/**
+ * The attributes whose changes are notified to the custom element
+ *
+ * @type {string[]}
+ */
+StickyElement.observedAttributes = Object.keys(attributeTypes).map(DataAttributes.toAttributeName);
+
+if (window.HTMLElement) {
+   StickyElement.prototype = Object.create(window.HTMLElement.prototype, {
+      constructor: {
+         value: StickyElement,
+         writable: true,
+         configurable: true
+      }
+   });
+}
+
+/**
+ * Creates the Sticky object when the custom element is added to the document
+ */
+StickyElement.prototype.connectedCallback = function() {
+   if (!this.sticky) {
+      createSticky(this);
+   }
+};
+
+/**
+ * Destroys the Sticky object when the custom element is removed from the document
+ */
+StickyElement.prototype.disconnectedCallback = function() {
+   destroySticky(this);
+};
+
+/**
+ * Creates the Sticky object again, with the new settings,
+ * when an observed attribute changes
+ */
+StickyElement.prototype.attributeChangedCallback = function() {
+   if (this.sticky) {
+      destroySticky(this);
+      createSticky(this);
+   }
+};
+
+if (window.customElements && window.Reflect && !window.customElements.get(tagName)) {
+   window.customElements.define(tagName, StickyElement);
+}
+
+export
+ default StickyElement;
@@ -0,0 +1,88 @@
+import Settings from './helpers/settings';
+import Store from './helpers/store';
+import Sticky from './audero-sticky';
+
+/**
+ * The object used to store the Sticky object created by the directive
+ * for an element, and its options
+ *
+ * @type {Store}
+ */
+const store = new Store('auderostickyvue');
+
+/**
+ * Creates and initializes a Sticky object for an element, destroying the one
+ * previously initialized for the same element, if any
+ *
+ * @param {HTMLElement} element The element that will stick
+ * @param {Object} binding The binding of the directive, whose value is the options
+ */
+function mount(element, binding) {
+   const previousSticky = Sticky.getInstance(element);
+   const options = binding.value || {};
+   const sticky = new Sticky(element, options);
+
+   if (previousSticky) {
+      previousSticky.destroy();
+   }
+
+   sticky.init();
+   store.setData(element, {
+      sticky,
+      options
+   });
+}
+
+/**
+ * Destroys the Sticky object created by the directive for an element,
+ * if it's still initialized
+ *
+ * @param {HTMLElement} element The element whose Sticky object is destroyed
+ */
+function unmount(element) {
+   const sticky = store.getData(element, 'sticky');
+
+   if (sticky && Sticky.getInstance(element) === sticky) {
+      sticky.destroy();
+   }
+
+   store.removeData(element);
+}
+
+/**
+ * Creates the Sticky object again if the options have changed
+ *
+ * @param {HTMLElement} element The element that sticks
+ * @param {Object} binding The binding of the directive, whose value is the options
+ */
+function update(element, binding) {
+   if (!Settings.areEqual(store.getData(element, 'options'), binding.value || {})) {
+      unmount(element);
+      mount(element, binding);
+   }
+}
+
+/**
+ * The <code>v-sticky</code> directive, which makes an element stick. Its value is
+ * the options of the Sticky object, which is created again when they change
+ * and destroyed when the element is unmounted.
+ *
+ * The hooks of both Vue 2 and Vue 3 are defined, so that the directive
+ * can be registered in any of them.
+ *
+ * @type {Object}
+ */
+const vSticky = {
+   // Vue 3
+   mounted: mount,
+   updated: update,
+   unmounted: unmount,
+
+   // Vue 2
+   inserted: mount,
+   componentUpdated: update,
+   unbind: unmount
+};
+
+export
+ default vSticky;